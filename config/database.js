@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import crypto from "crypto";
+import bcrypt from "bcrypt";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -29,6 +31,9 @@ export const connectDB = async () => {
   }
 };
 
+// What each role may do is set out in middleware/auth.js
+export const ROLES = ["admin", "manager", "cashier", "kitchen"];
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -43,16 +48,176 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["admin", "staff"],
-      default: "staff",
+      enum: ROLES,
+      default: "cashier",
+    },
+    // Hashed numeric PIN: cashiers sign in with it (and their username) on
+    // the shared terminal and managers type it at the counter to approve an
+    // override. It only ever vouches for the account it is paired with.
+    pin: String,
+    // Deactivated accounts can't sign in; they are kept for order history
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Set for new accounts and admin resets so the user picks their own
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    // Tokens issued before this are no longer accepted
+    passwordChangedAt: Date,
+    failedLogins: {
+      type: Number,
+      default: 0,
     },
+    lockedUntil: Date,
+    lastLoginAt: Date,
   },
   { timestamps: true }
 );
 
+const PIN_PATTERN = /^\d{4,6}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 1000 * 60 * 15;
+
+userSchema.methods.setPassword = function(password, { temporary = false } = {}) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  this.password = bcrypt.hashSync(password, 10);
+  this.passwordChangedAt = new Date();
+  this.mustChangePassword = temporary;
+};
+
+userSchema.methods.checkPassword = function(password) {
+  return bcrypt.compareSync(String(password || ""), this.password);
+};
+
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > Date.now());
+};
+
+// Locks the account for a while after too many failed sign-ins in a row
+userSchema.methods.recordFailedLogin = function() {
+  this.failedLogins = (this.failedLogins || 0) + 1;
+  if (this.failedLogins >= MAX_FAILED_LOGINS) {
+    this.failedLogins = 0;
+    this.lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+  }
+};
+
+userSchema.methods.unlock = function() {
+  this.failedLogins = 0;
+  this.lockedUntil = undefined;
+};
+
+userSchema.methods.recordLogin = function() {
+  this.unlock();
+  this.lastLoginAt = new Date();
+};
+
+userSchema.methods.checkPin = function(pin) {
+  return Boolean(this.pin) && PIN_PATTERN.test(String(pin || "")) && bcrypt.compareSync(String(pin), this.pin);
+};
+
+// Two accounts may share a PIN; nothing looks a user up by PIN alone
+userSchema.methods.setPin = function(pin) {
+  if (!PIN_PATTERN.test(String(pin || ""))) {
+    throw httpError(400, "PIN must be 4 to 6 digits");
+  }
+  this.pin = bcrypt.hashSync(String(pin), 10);
+};
+
+// Duplicate usernames and failed validation come back as 409/400 errors
+userSchema.post("save", function(error, doc, next) {
+  if (error.code === 11000) {
+    return next(httpError(409, "That username is already taken"));
+  }
+  if (error.name === "ValidationError") {
+    return next(httpError(400, Object.values(error.errors)[0].message));
+  }
+  next(error);
+});
+
 export const User = mongoose.model("User", userSchema);
 
 
+// Manager approvals already acted on, kept until they would have expired
+// anyway so none can be used twice
+const usedApprovalSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+usedApprovalSchema.statics.spend = async function(jti, expiresAt, session) {
+  try {
+    await this.create([{ jti, expiresAt }], { session });
+  } catch (error) {
+    if (error.code === 11000) throw httpError(403, "This approval has already been used; ask the manager again");
+    throw error;
+  }
+};
+
+export const UsedApproval = mongoose.models.UsedApproval || mongoose.model("UsedApproval", usedApprovalSchema);
+
+
+// How an item is treated for VAT. Products without their own class use
+// their category's.
+const TAX_CLASSES = ["vatable", "exempt", "zero-rated"];
+
+// Catalog entries are archived rather than deleted so past orders keep
+// their references; sortOrder drives the menu order.
+const catalogStatics = {
+  // Next free slot at the end of the list
+  async nextSortOrder() {
+    const last = await this.findOne({}, "sortOrder").sort({ sortOrder: -1 }).lean();
+    return last ? (last.sortOrder || 0) + 1 : 0;
+  },
+
+  // Saves a new order from a list of IDs, first to last
+  async reorder(ids) {
+    if (!Array.isArray(ids) || !ids.length || !ids.every(id => mongoose.isValidObjectId(id))) {
+      throw httpError(400, "A list of IDs is required");
+    }
+    if (new Set(ids.map(String)).size !== ids.length) {
+      throw httpError(400, "IDs must not repeat");
+    }
+
+    const found = await this.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      throw httpError(404, "Some of the IDs were not found");
+    }
+
+    await this.bulkWrite(ids.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { sortOrder: index } } }
+    })));
+  },
+};
+
+// Duplicate names and failed validation come back as 409/400 errors the
+// routes can pass straight on
+const catalogErrors = (schema, label) => {
+  schema.post("save", function(error, doc, next) {
+    if (error.code === 11000) {
+      return next(httpError(409, `A ${label} with that name already exists`));
+    }
+    if (error.name === "ValidationError") {
+      return next(httpError(400, Object.values(error.errors)[0].message));
+    }
+    next(error);
+  });
+};
+
 const categorySchema = new mongoose.Schema(
   {
     name: {
@@ -61,13 +226,166 @@ const categorySchema = new mongoose.Schema(
       unique: true,
       trim: true,
     },
+    // Shown on the menu buttons; falls back to the name
+    label: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    taxClass: {
+      type: String,
+      enum: TAX_CLASSES,
+      default: "vatable",
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
   },
   { timestamps: true }
 );
 
+categorySchema.static(catalogStatics);
+catalogErrors(categorySchema, "category");
+
 export const Category = mongoose.model("Category", categorySchema);
 
 
+const brandSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Brand name is required"],
+      unique: true,
+      trim: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+brandSchema.static(catalogStatics);
+catalogErrors(brandSchema, "brand");
+
+export const Brand = mongoose.model("Brand", brandSchema);
+
+
+// One ingredient in a recipe, in the ingredient's own unit per item sold
+const recipeLineSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ingredient",
+    required: [true, "Choose an ingredient for each recipe line"],
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Recipe quantity is required"],
+    min: [0.001, "Recipe quantities must be more than 0"],
+  },
+}, { _id: false });
+
+// What stock bought in costs and when to buy more, on products and sizes
+// that keep their own stock. Both costs change only on receiving.
+const purchaseFields = () => ({
+  // Pesos per item, averaged over what was bought
+  cost: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Pesos per item on the latest delivery
+  lastCost: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Stock at or below this is due for reordering
+  reorderLevel: {
+    type: Number,
+    default: 0,
+    min: [0, "Reorder level cannot be negative"],
+  },
+});
+
+// A size or version of a product with its own price and stock
+const productVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Variant name is required"],
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required"],
+    min: 0,
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  ...purchaseFields(),
+  // Replaces the product's recipe for this size when set
+  recipe: [recipeLineSchema],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Option name is required"],
+    trim: true,
+  },
+  // Upcharge per unit; 0 for free choices like sugar level
+  price: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Add-ons and preferences, e.g. "Sugar level" (pick exactly 1) or "Extras" (pick up to 3)
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Modifier group name is required"],
+    trim: true,
+  },
+  minSelect: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxSelect: {
+    type: Number,
+    default: 1,
+    min: 1,
+    validate: {
+      validator: function(value) { return value >= this.minSelect; },
+      message: "Max selections cannot be less than min selections",
+    },
+  },
+  options: [modifierOptionSchema],
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -80,6 +398,16 @@ const productSchema = new mongoose.Schema(
       ref: "Category",
       required: false,
     },
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Brand",
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
     price: {
       type: Number,
       required: [true, "Product price is required"],
@@ -90,265 +418,3493 @@ const productSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    ...purchaseFields(),
     image: { type: String,
     default: '' 
     },
+    // Small version for the menu grid; set by the upload pipeline
+    thumbnail: {
+      type: String,
+      default: '',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    taxClass: {
+      type: String,
+      enum: [...TAX_CLASSES, null],
+      default: null,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    // A product with active variants is always sold as one of them, and
+    // stock is kept per variant instead of on the product
+    variants: [productVariantSchema],
+    modifierGroups: [modifierGroupSchema],
+    // Ingredients used for one item. Items with a recipe are made to order:
+    // a sale takes their ingredients instead of the product's own stock.
+    recipe: [recipeLineSchema],
   },
   { timestamps: true }
 );
 
+// With variants the product's own price is the "from" price shown on the menu
+productSchema.pre("validate", function() {
+  const prices = this.variants.filter(v => v.isActive !== false).map(v => v.price);
+  if (prices.length) this.price = Math.min(...prices);
+});
+
+productSchema.static(catalogStatics);
+catalogErrors(productSchema, "product");
+
 export const Product = mongoose.model("Product", productSchema);
 
 
+// Store-wide settings live in a single document
+const settingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "store",
+      unique: true,
+    },
+    tax: {
+      // Menu prices already include VAT (the usual case in the Philippines)
+      pricesIncludeTax: {
+        type: Boolean,
+        default: true,
+      },
+      vatRate: {
+        type: Number,
+        default: 0.12,
+        min: 0,
+        max: 1,
+      },
+      // Only charged on Dine In orders; 0 turns it off
+      serviceChargeRate: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 1,
+      },
+    },
+    // What prints above and below every receipt
+    receipt: {
+      storeName: {
+        type: String,
+        trim: true,
+        default: "G'RAY COUNTRYSIDE CAFE",
+      },
+      headerLines: {
+        type: [String],
+        default: ["Est. 2018", "Contact: 0997-4600154"],
+      },
+      tin: {
+        type: String,
+        trim: true,
+        default: "",
+      },
+      footerLines: {
+        type: [String],
+        default: ["Thank you for your order!", "Please come again", "*** For school purposes only ***"],
+      },
+      // Path under images/, set through the logo upload
+      logo: {
+        type: String,
+        default: "",
+      },
+      // Thermal paper roll in mm
+      paperWidth: {
+        type: Number,
+        enum: [58, 80],
+        default: 80,
+      },
+    },
+    // Customers earn a point for every pesosPerPoint spent (not counting what
+    // they pay with points) and can pay with points worth pointValue each
+    loyalty: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      pesosPerPoint: {
+        type: Number,
+        default: 100,
+        min: 1,
+      },
+      pointValue: {
+        type: Number,
+        default: 1,
+        min: 0.01,
+      },
+    },
+    // Carts parked at the till are flagged once they have waited
+    // staleAfterMinutes and thrown away after expireAfterMinutes (0 keeps
+    // them until they are recalled)
+    parking: {
+      staleAfterMinutes: {
+        type: Number,
+        default: 30,
+        min: 1,
+        max: 1440,
+      },
+      expireAfterMinutes: {
+        type: Number,
+        default: 480,
+        min: 0,
+        max: 10080,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+// Not lean, so fields added since the document was created still come back
+// with their defaults
+settingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOneAndUpdate(
+    { key: "store" },
+    { $setOnInsert: { key: "store" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return settings.toObject();
+};
+
+export const Settings = mongoose.models.Settings || mongoose.model("Settings", settingsSchema);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const ORDER_STATUSES = ["open", "paid", "preparing", "ready", "served", "voided", "refunded"];
+
+// Allowed next states for each order status. Voided and refunded are final.
+const ORDER_TRANSITIONS = {
+  open: ["paid", "voided"],
+  paid: ["preparing", "ready", "served", "voided", "refunded"],
+  preparing: ["ready", "served", "voided", "refunded"],
+  ready: ["served", "voided", "refunded"],
+  served: ["refunded"],
+  voided: [],
+  refunded: []
+};
+
+// "points" is a customer paying with loyalty points
+const PAYMENT_METHODS = ["cash", "gcash", "maya", "card", "points"];
+
+// Senior Citizen and PWD discounts are set by law; percent and fixed are
+// manual discounts that a manager or admin gives or approves
+// (orders:discount)
+const STATUTORY_DISCOUNTS = ["senior", "pwd"];
+const MANUAL_DISCOUNTS = ["percent", "fixed"];
+const STATUTORY_DISCOUNT_RATE = 0.20;
+
 const orderSchema = new mongoose.Schema({
   items: [
     {
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
       name: String,
+      // Unit price: the variant's (or product's) price plus modifier upcharges
       price: Number,
+      // Set when the line was sold at a price other than the menu's
+      priceOverride: {
+        listPrice: Number,
+        approvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        approvedByName: String,
+      },
       quantity: Number,
+      lineTotal: Number,
+      // Chosen variant; its name is kept in `size`
+      variant: mongoose.Schema.Types.ObjectId,
+      modifiers: [
+        {
+          _id: false,
+          group: mongoose.Schema.Types.ObjectId,
+          groupName: String,
+          option: mongoose.Schema.Types.ObjectId,
+          name: String,
+          price: Number,
+        }
+      ],
+      discountAmount: {
+        type: Number,
+        default: 0
+      },
+      // Set by a Senior Citizen or PWD discount
+      taxExempt: {
+        type: Boolean,
+        default: false
+      },
+      taxClass: String,
+      // VAT taken out of a VAT-inclusive price for SC/PWD lines
+      vatAdjustment: {
+        type: Number,
+        default: 0
+      },
+      taxableAmount: Number,
+      tax: Number,
+      // What the customer pays for the line, VAT included
+      amountDue: Number,
       size: String,
       image: String, 
+      status: {
+        type: String,
+        enum: ["active", "voided", "refunded"],
+        default: "active"
+      },
+      kitchenStatus: {
+        type: String,
+        enum: ["pending", "ready"],
+        default: "pending"
+      },
+      // Round of an open check the line went to the kitchen in
+      round: Number,
+      reason: String,
+      // The recipe as it stood when the line was sold, per item, and what
+      // one item cost to make then
+      recipe: [
+        {
+          _id: false,
+          ingredient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Ingredient",
+          },
+          name: String,
+          unit: String,
+          quantity: Number,
+          cost: Number,
+        }
+      ],
+      unitCost: Number,
     }
   ],
   subtotal: Number,
-  tax: Number,
-  total: Number,
-  type: String, 
-  customer: {
-    name: {
-      type: String,
-      default: 'Guest'
-    },
-    phone: {
-      type: String,
-      default: 'N/A'
+  discounts: [
+    {
+      kind: {
+        type: String,
+        enum: [...STATUTORY_DISCOUNTS, ...MANUAL_DISCOUNTS],
+        required: true
+      },
+      // Percent off, or pesos off for fixed discounts
+      value: Number,
+      amount: Number,
+      // Item IDs the discount applies to; empty means the whole order
+      lines: [mongoose.Schema.Types.ObjectId],
+      idNumber: String,
+      customerName: String,
+      reason: String,
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      approvedByName: String,
     }
+  ],
+  discountTotal: {
+    type: Number,
+    default: 0
   },
-  createdAt: {
-    type: Date,
-    default: Date.now,
-  }
-});
-
-export const Order = mongoose.models.Order || mongoose.model("Order", orderSchema);
-
-
-const StatsSchema = new mongoose.Schema({
-  date: {
-    type: Date,
-    required: true,
-    unique: true,
-    default: () => {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      return today;
-    }
+  vatAdjustment: {
+    type: Number,
+    default: 0
   },
-  
-  totalOrders: {
+  vatableSales: {
     type: Number,
     default: 0
   },
-  ordersToday: {
+  vatExemptSales: {
     type: Number,
     default: 0
   },
-  
-  itemsSold: {
+  zeroRatedSales: {
     type: Number,
     default: 0
   },
-  itemsSoldToday: {
+  tax: Number,
+  taxRate: Number,
+  pricesIncludeTax: Boolean,
+  serviceCharge: {
     type: Number,
     default: 0
   },
-  
-  dineInOrders: {
+  total: Number,
+  payments: [
+    {
+      method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        required: true
+      },
+      // Amount applied to the bill; for cash this is tendered less change
+      amount: Number,
+      tendered: Number,
+      reference: String,
+    }
+  ],
+  amountPaid: {
     type: Number,
     default: 0
   },
-  takeoutOrders: {
+  change: {
     type: Number,
     default: 0
   },
-  
-  categoryStats: {
-    Rice: { type: Number, default: 0 },
-    Sizzling: { type: Number, default: 0 },
-    Party: { type: Number, default: 0 },
-    Drink: { type: Number, default: 0 },
-    Cafe: { type: Number, default: 0 },
-    Milk: { type: Number, default: 0 },
-    Frappe: { type: Number, default: 0 }
-  },
-  
-  topProducts: [{
-    name: String,
-    quantity: Number,
-  }],
-  
-  hourlyStats: {
-    0: { type: Number, default: 0 },
-    1: { type: Number, default: 0 },
-    2: { type: Number, default: 0 },
-    3: { type: Number, default: 0 },
-    4: { type: Number, default: 0 },
-    5: { type: Number, default: 0 },
-    6: { type: Number, default: 0 },
-    7: { type: Number, default: 0 },
-    8: { type: Number, default: 0 },
-    9: { type: Number, default: 0 },
-    10: { type: Number, default: 0 },
-    11: { type: Number, default: 0 },
-    12: { type: Number, default: 0 },
-    13: { type: Number, default: 0 },
-    14: { type: Number, default: 0 },
-    15: { type: Number, default: 0 },
-    16: { type: Number, default: 0 },
-    17: { type: Number, default: 0 },
-    18: { type: Number, default: 0 },
-    19: { type: Number, default: 0 },
-    20: { type: Number, default: 0 },
-    21: { type: Number, default: 0 },
-    22: { type: Number, default: 0 },
-    23: { type: Number, default: 0 }
-  },
-  
-  lastUpdated: {
-    type: Date,
-    default: Date.now
-  }
-}, {
-  timestamps: true
-});
-
-StatsSchema.statics.updateStats = async function(orderData) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  let stats = await this.findOne({ date: today });
-  
-  if (!stats) {
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStats = await this.findOne({ date: yesterday });
-    
-    stats = new this({
-      date: today,
-      totalOrders: yesterdayStats ? yesterdayStats.totalOrders : 0,
-      itemsSold: yesterdayStats ? yesterdayStats.itemsSold : 0,
-      dineInOrders: yesterdayStats ? yesterdayStats.dineInOrders : 0,
-      takeoutOrders: yesterdayStats ? yesterdayStats.takeoutOrders : 0,
-      categoryStats: yesterdayStats ? yesterdayStats.categoryStats : {
-        Rice: 0, Sizzling: 0, Party: 0, Drink: 0, 
-        Cafe: 0, Milk: 0, Frappe: 0
-      }
-    });
-  }
-  
-  const hour = new Date().getHours();
-  
-  stats.totalOrders += 1;
-  stats.ordersToday += 1;
-  
-  const itemsInOrder = orderData.items.reduce((sum, item) => sum + item.quantity, 0);
-  stats.itemsSold += itemsInOrder;
-  stats.itemsSoldToday += itemsInOrder;
-  
-  if (orderData.type === 'Dine In') {
-    stats.dineInOrders += 1;
-  } else if (orderData.type === 'Take Out') {
-    stats.takeoutOrders += 1;
-  }
-  
-  stats.hourlyStats[hour] = (stats.hourlyStats[hour] || 0) + 1;
-  
-  orderData.items.forEach(item => {
-    const itemName = item.name.toLowerCase();
-    if (itemName.includes('bulgogi') || itemName.includes('lechon') || 
-        itemName.includes('chicken') || itemName.includes('adobo') || 
-        itemName.includes('shanghai') || itemName.includes('fish') || 
-        itemName.includes('dory') || itemName.includes('pork')) {
-      stats.categoryStats.Rice += item.quantity;
-    } else if (itemName.includes('sizzling') || itemName.includes('sisig') || 
-               itemName.includes('liempo') || itemName.includes('porkchop')) {
-      stats.categoryStats.Sizzling += item.quantity;
-    } else if (itemName.includes('pancit') || itemName.includes('spaghetti') || 
-               itemName.includes('party')) {
-      stats.categoryStats.Party += item.quantity;
-    } else if (itemName.includes('lemonade') || itemName.includes('soda') || 
-               itemName.includes('red tea') && !itemName.includes('milk')) {
-      stats.categoryStats.Drink += item.quantity;
-    } else if (itemName.includes('cafe') || itemName.includes('americano') || 
-               itemName.includes('latte') || itemName.includes('macchiato') || 
-               itemName.includes('coffee')) {
-      stats.categoryStats.Cafe += item.quantity;
-    } else if (itemName.includes('milk tea') || itemName.includes('matcha green tea')) {
-      stats.categoryStats.Milk += item.quantity;
-    } else if (itemName.includes('frappe') || itemName.includes('cookies & cream')) {
-      stats.categoryStats.Frappe += item.quantity;
-    }
-  });
-  
-  orderData.items.forEach(item => {
-    const existingProduct = stats.topProducts.find(p => p.name === item.name);
-    if (existingProduct) {
-      existingProduct.quantity += item.quantity;
-    } else {
-      stats.topProducts.push({
-        name: item.name,
-        quantity: item.quantity,
-      });
+  voidedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Receipts printed so far; every one after the first is marked REPRINT
+  receiptPrints: {
+    type: Number,
+    default: 0
+  },
+  type: String, 
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Shift",
+  },
+  // Official receipt number, e.g. T01-00000042, given out at payment from
+  // the terminal's own run
+  terminal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Terminal",
+  },
+  receiptNo: Number,
+  receiptNumber: String,
+  // Key the till makes up for each sale so one that is sent again (after a
+  // dropped connection or from the offline queue) is only booked once
+  clientKey: String,
+  // When the till took the sale while offline; createdAt is when it synced
+  queuedAt: Date,
+  // Open checks: Dine In orders kept open on a table while rounds go to the
+  // kitchen, then paid at the end. createdAt is reset to when it was paid.
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Table",
+  },
+  tableName: String,
+  openedAt: Date,
+  guests: Number,
+  // Guests paying equal shares of the bill
+  splitWays: {
+    type: Number,
+    default: 1
+  },
+  rounds: [
+    {
+      _id: false,
+      number: Number,
+      sentAt: Date,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      username: String,
     }
-  });
-  
-  stats.topProducts.sort((a, b) => b.quantity - a.quantity);
-  stats.topProducts = stats.topProducts.slice(0, 10);
-  
-  stats.lastUpdated = new Date();
-  await stats.save();
-  
-  return stats;
-};
-
-StatsSchema.statics.getDashboardStats = async function() {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const stats = await this.findOne({ date: today });
-  
-  if (!stats) {
+  ],
+  // Set when the bill is printed; the table then shows as awaiting payment
+  billRequestedAt: Date,
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: "open"
+  },
+  paymentStatus: {
+    type: String,
+    enum: ["unpaid", "paid", "partially_refunded", "refunded"],
+    default: "unpaid"
+  },
+  history: [
+    {
+      action: String,
+      status: String,
+      amount: Number,
+      reason: String,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      username: String,
+      // Manager who approved the action on someone else's behalf
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      approvedByName: String,
+      at: {
+        type: Date,
+        default: Date.now,
+      }
+    }
+  ],
+  customer: {
+    // Set when the sale is rung up for a customer in the directory
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    name: {
+      type: String,
+      default: 'Guest'
+    },
+    phone: {
+      type: String,
+      default: 'N/A'
+    }
+  },
+  // Points the sale earned and was paid with, the customer's balance after
+  // it, and the rules it was worked out with
+  loyalty: {
+    earned: Number,
+    redeemed: Number,
+    balance: Number,
+    pesosPerPoint: Number,
+    pointValue: Number,
+    // Earned points taken back by voids and refunds since
+    reversed: Number,
+    // Whether the redeemed points were given back
+    returned: Boolean,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+const normalizeDiscount = (discount, lineCount) => {
+  const kind = String(discount?.kind || '').toLowerCase();
+  if (![...STATUTORY_DISCOUNTS, ...MANUAL_DISCOUNTS].includes(kind)) {
+    throw httpError(400, `Discount type must be one of: ${[...STATUTORY_DISCOUNTS, ...MANUAL_DISCOUNTS].join(", ")}`);
+  }
+
+  const lines = discount.lines === undefined ? [] : discount.lines;
+  if (!Array.isArray(lines) || lines.some(i => !Number.isInteger(i) || i < 0 || i >= lineCount)) {
+    throw httpError(400, "Discount lines must be positions of items in the order");
+  }
+
+  const normalized = {
+    kind,
+    lines: [...new Set(lines)],
+    reason: discount.reason ? String(discount.reason).trim() : undefined,
+    approvedBy: discount.approvedBy,
+    approvedByName: discount.approvedByName
+  };
+
+  if (STATUTORY_DISCOUNTS.includes(kind)) {
+    const idNumber = String(discount.idNumber || '').trim();
+    const customerName = String(discount.customerName || '').trim();
+    if (!idNumber || !customerName) {
+      throw httpError(400, "Senior Citizen and PWD discounts need the ID number and name");
+    }
+    return { ...normalized, value: STATUTORY_DISCOUNT_RATE * 100, idNumber, customerName };
+  }
+
+  const value = roundMoney(Number(discount.value));
+  if (!Number.isFinite(value) || value <= 0 || (kind === "percent" && value > 100)) {
+    throw httpError(400, kind === "percent"
+      ? "Percent discounts must be more than 0 and at most 100"
+      : "Fixed discounts must be more than 0");
+  }
+  return { ...normalized, value };
+};
+
+// Works out discounts and VAT line by line so voids and refunds can take back
+// exactly what each line was charged. SC/PWD lines are VAT-exempt (the VAT
+// inside an inclusive price is removed first) and get 20% off; manual
+// discounts never stack on them.
+const applyDiscountsAndTax = (lines, discountInput, taxSettings, type) => {
+  const { pricesIncludeTax, vatRate, serviceChargeRate } = taxSettings;
+
+  const discounts = discountInput
+    .map(discount => normalizeDiscount(discount, lines.length))
+    // Statutory discounts come off first
+    .sort((a, b) => STATUTORY_DISCOUNTS.includes(b.kind) - STATUTORY_DISCOUNTS.includes(a.kind));
+
+  const remaining = (line) => roundMoney(line.lineTotal - line.vatAdjustment - line.discountAmount);
+
+  const appliedDiscounts = discounts.map(discount => {
+    const statutory = STATUTORY_DISCOUNTS.includes(discount.kind);
+    let targets = discount.lines.length ? discount.lines.map(i => lines[i]) : lines;
+
+    if (statutory) {
+      if (targets.some(line => line.taxExempt)) {
+        throw httpError(400, "An item can only take one Senior Citizen or PWD discount");
+      }
+      targets.forEach(line => {
+        line.taxExempt = true;
+        if (pricesIncludeTax && line.taxClass === "vatable") {
+          line.vatAdjustment = roundMoney(line.lineTotal - line.lineTotal / (1 + vatRate));
+        }
+      });
+    } else {
+      targets = targets.filter(line => !line.taxExempt);
+    }
+    if (!targets.length) {
+      throw httpError(400, "Manual discounts can't be added on top of a Senior Citizen or PWD discount");
+    }
+
+    let amount = 0;
+    if (discount.kind === "fixed") {
+      // Spread the pesos across the lines by value; the last line takes the rounding
+      const base = roundMoney(targets.reduce((sum, line) => sum + remaining(line), 0));
+      const total = Math.min(discount.value, base);
+      targets.forEach((line, index) => {
+        const share = index === targets.length - 1
+          ? roundMoney(total - amount)
+          : roundMoney(base ? total * remaining(line) / base : 0);
+        line.discountAmount = roundMoney(line.discountAmount + share);
+        amount = roundMoney(amount + share);
+      });
+    } else {
+      const rate = statutory ? STATUTORY_DISCOUNT_RATE : discount.value / 100;
+      targets.forEach(line => {
+        const share = roundMoney(remaining(line) * rate);
+        line.discountAmount = roundMoney(line.discountAmount + share);
+        amount = roundMoney(amount + share);
+      });
+    }
+
+    return {
+      ...discount,
+      lines: discount.lines.map(i => lines[i]._id),
+      amount
+    };
+  });
+
+  lines.forEach(line => {
+    const net = remaining(line);
+    const vatable = !line.taxExempt && line.taxClass === "vatable";
+
+    if (!vatable) {
+      line.tax = 0;
+      line.taxableAmount = 0;
+      line.amountDue = net;
+    } else if (pricesIncludeTax) {
+      line.tax = roundMoney(net - net / (1 + vatRate));
+      line.taxableAmount = roundMoney(net - line.tax);
+      line.amountDue = net;
+    } else {
+      line.tax = roundMoney(net * vatRate);
+      line.taxableAmount = net;
+      line.amountDue = roundMoney(net + line.tax);
+    }
+  });
+
+  const sum = (list, field) => roundMoney(list.reduce((total, line) => total + line[field], 0));
+  const exemptLines = lines.filter(line => line.taxExempt || line.taxClass === "exempt");
+  const zeroRatedLines = lines.filter(line => !line.taxExempt && line.taxClass === "zero-rated");
+  const itemsDue = sum(lines, "amountDue");
+  const tax = sum(lines, "tax");
+
+  // Service charge is worked out on the VAT-exclusive amount
+  const serviceCharge = type === "Dine In" && serviceChargeRate
+    ? roundMoney((itemsDue - tax) * serviceChargeRate)
+    : 0;
+
+  return {
+    items: lines,
+    discounts: appliedDiscounts,
+    subtotal: sum(lines, "lineTotal"),
+    discountTotal: sum(lines, "discountAmount"),
+    vatAdjustment: sum(lines, "vatAdjustment"),
+    vatableSales: sum(lines, "taxableAmount"),
+    vatExemptSales: sum(exemptLines, "amountDue"),
+    zeroRatedSales: sum(zeroRatedLines, "amountDue"),
+    tax,
+    taxRate: vatRate,
+    pricesIncludeTax,
+    serviceCharge,
+    total: roundMoney(itemsDue + serviceCharge)
+  };
+};
+
+// Checks a cart line's variant and modifier choices against the product.
+// `item.modifiers` is a list of option IDs.
+const resolveSelection = (product, item) => {
+  const variants = (product.variants || []).filter(v => v.isActive !== false);
+  let variant = null;
+
+  if (variants.length) {
+    variant = variants.find(v => String(v._id) === String(item.variant));
+    if (!variant) {
+      throw httpError(400, `Choose a size for ${product.name}`);
+    }
+  } else if (item.variant) {
+    throw httpError(400, `${product.name} has no sizes to choose from`);
+  }
+
+  const chosen = item.modifiers || [];
+  if (!Array.isArray(chosen) || new Set(chosen.map(String)).size !== chosen.length) {
+    throw httpError(400, `Modifiers for ${product.name} must be a list without repeats`);
+  }
+
+  const modifiers = [];
+  let matched = 0;
+  (product.modifierGroups || []).forEach(group => {
+    const picked = group.options.filter(option =>
+      option.isActive !== false && chosen.some(id => String(id) === String(option._id))
+    );
+    matched += picked.length;
+
+    if (picked.length < group.minSelect || picked.length > group.maxSelect) {
+      const rule = group.minSelect === group.maxSelect
+        ? `exactly ${group.minSelect}`
+        : `${group.minSelect} to ${group.maxSelect}`;
+      throw httpError(400, `Choose ${rule} for ${group.name} on ${product.name}`);
+    }
+
+    picked.forEach(option => modifiers.push({
+      group: group._id,
+      groupName: group.name,
+      option: option._id,
+      name: option.name,
+      price: option.price || 0,
+    }));
+  });
+
+  if (matched !== chosen.length) {
+    throw httpError(400, `Some modifiers are not available for ${product.name}`);
+  }
+
+  return { variant, modifiers };
+};
+
+// Prices a cart of { product, quantity } lines against the current Product
+// documents and the store's tax settings. Client-sent prices and totals are
+// never trusted. Discounts refer to lines by their position in `items`.
+orderSchema.statics.priceItems = async function(items, discounts = [], { type } = {}) {
+  if (!Array.isArray(items) || !items.length) {
+    throw httpError(400, "No items in order");
+  }
+  if (!Array.isArray(discounts)) {
+    throw httpError(400, "Discounts must be a list");
+  }
+
+  for (const item of items) {
+    if (!item || !mongoose.isValidObjectId(item.product)) {
+      throw httpError(400, "Each item needs a valid product ID");
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw httpError(400, "Each item needs a whole quantity of at least 1");
+    }
+  }
+
+  const ids = [...new Set(items.map(item => String(item.product)))];
+  const [products, settings] = await Promise.all([
+    Product.find({ _id: { $in: ids } }).populate("category", "taxClass isActive").lean(),
+    Settings.getSettings()
+  ]);
+  const productMap = new Map(products.map(p => [String(p._id), p]));
+
+  const pricedItems = items.map(item => {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      throw httpError(400, `Unknown product: ${item.product}`);
+    }
+    if (product.isActive === false || product.category?.isActive === false) {
+      throw httpError(400, `${product.name} is no longer available`);
+    }
+
+    const { variant, modifiers } = resolveSelection(product, item);
+    const listPrice = roundMoney((variant ? variant.price : product.price) +
+      modifiers.reduce((sum, modifier) => sum + modifier.price, 0));
+
+    // The route checks who approved an override before it gets here
+    const overridden = item.overridePrice !== undefined && item.overridePrice !== null;
+    if (overridden && !(Number.isFinite(item.overridePrice) && item.overridePrice >= 0)) {
+      throw httpError(400, `Override price for ${product.name} must be 0 or more`);
+    }
+    const price = overridden ? roundMoney(item.overridePrice) : listPrice;
+
     return {
-      totalOrders: 0,
-      totalProducts: 0,
-      totalStocks: 0,
-      ordersToday: 0,
-      itemsSoldToday: 0,
-      dineInToday: 0,
-      takeoutToday: 0,
-      categoryStats: {
-        Rice: 0, Sizzling: 0, Party: 0, Drink: 0, 
-        Cafe: 0, Milk: 0, Frappe: 0
+      _id: new mongoose.Types.ObjectId(),
+      product: product._id,
+      name: product.name,
+      price,
+      quantity: item.quantity,
+      lineTotal: roundMoney(price * item.quantity),
+      priceOverride: overridden
+        ? { listPrice, approvedBy: item.overrideApprovedBy, approvedByName: item.overrideApprovedByName }
+        : undefined,
+      variant: variant?._id,
+      size: variant?.name,
+      modifiers,
+      discountAmount: 0,
+      taxExempt: false,
+      taxClass: product.taxClass || product.category?.taxClass || "vatable",
+      vatAdjustment: 0,
+      image: product.thumbnail || product.image || ''
+    };
+  });
+
+  return applyDiscountsAndTax(pricedItems, discounts, settings.tax, type);
+};
+
+// Records the tenders for the bill. Cash may exceed what is due and gets
+// change back; GCash, Maya and card need a reference number and can't be
+// over-tendered. Throws unless the tenders cover the total.
+orderSchema.methods.settlePayments = function(tenders) {
+  if (!Array.isArray(tenders) || !tenders.length) {
+    throw httpError(400, "At least one payment is required");
+  }
+
+  const payments = tenders.map(tender => {
+    const method = String(tender?.method || '').toLowerCase();
+    const amount = roundMoney(Number(tender?.amount));
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw httpError(400, `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}`);
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw httpError(400, "Each payment needs an amount greater than 0");
+    }
+
+    const reference = tender.reference ? String(tender.reference).trim() : '';
+    if (method !== "cash" && method !== "points" && !reference) {
+      throw httpError(400, `A reference number is required for ${method} payments`);
+    }
+
+    return method === "cash"
+      ? { method, amount, tendered: amount }
+      : { method, amount, reference };
+  });
+
+  const nonCash = roundMoney(payments
+    .filter(p => p.method !== "cash")
+    .reduce((sum, p) => sum + p.amount, 0));
+  if (nonCash > this.total) {
+    throw httpError(400, "Non-cash payments cannot be more than the amount due");
+  }
+
+  const tendered = roundMoney(payments.reduce((sum, p) => sum + p.amount, 0));
+  if (tendered < this.total) {
+    throw httpError(400, `Payments of ${tendered.toFixed(2)} do not cover the total of ${this.total.toFixed(2)}`);
+  }
+
+  // Change comes back out of the cash, last tender first
+  let change = roundMoney(tendered - this.total);
+  for (let i = payments.length - 1; i >= 0 && change > 0; i--) {
+    if (payments[i].method !== "cash") continue;
+    const returned = Math.min(change, payments[i].amount);
+    payments[i].amount = roundMoney(payments[i].amount - returned);
+    change = roundMoney(change - returned);
+  }
+
+  this.payments = payments;
+  this.amountPaid = tendered;
+  this.change = roundMoney(tendered - this.total);
+  return this;
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+orderSchema.methods.transitionTo = function(status, user, reason) {
+  if (!this.canTransitionTo(status)) {
+    throw httpError(409, `Cannot move an order from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this.history.push({ action: "status", status, reason, user: user?.id, username: user?.username });
+  return this;
+};
+
+// Kitchen bump for the given lines, or for every active line when `itemIds`
+// is empty. The order moves to preparing on the first bump and to ready once
+// nothing is left pending.
+orderSchema.methods.markItemsReady = function(itemIds, user) {
+  const activeItems = this.items.filter(item => item.status === "active");
+  const lines = Array.isArray(itemIds) && itemIds.length
+    ? itemIds.map(id => {
+        const item = this.items.id(id);
+        if (!item || item.status !== "active") {
+          throw httpError(400, `Line ${id} is not an active line on this order`);
+        }
+        return item;
+      })
+    : activeItems;
+
+  lines.forEach(item => { item.kitchenStatus = "ready"; });
+
+  // Open checks stay open until they are paid; only their lines move on
+  if (this.status === "open") return this;
+
+  if (activeItems.every(item => item.kitchenStatus === "ready")) {
+    if (this.status !== "ready") this.transitionTo("ready", user);
+  } else if (this.status === "paid") {
+    this.transitionTo("preparing", user);
+  }
+
+  return this;
+};
+
+// Per-line amounts that are shared out when part of a line is voided or refunded
+const SPLIT_FIELDS = ["discountAmount", "vatAdjustment", "taxableAmount", "tax", "amountDue"];
+
+// What the customer paid for a line, including its share of any service
+// charge. Orders saved before per-line amounts fall back to a share of the total.
+orderSchema.methods.lineCharge = function(line) {
+  if (line.amountDue !== undefined && line.amountDue !== null) {
+    const itemsDue = this.total - (this.serviceCharge || 0);
+    const serviceRatio = itemsDue > 0 ? (this.serviceCharge || 0) / itemsDue : 0;
+    return line.amountDue * (1 + serviceRatio);
+  }
+  if (line.tax !== undefined && line.tax !== null) {
+    return line.lineTotal - (line.discountAmount || 0) + line.tax;
+  }
+  return line.lineTotal * (this.subtotal ? this.total / this.subtotal : 1);
+};
+
+// Voids or refunds whole lines, or part of a line's quantity by splitting it.
+// `lines` is [{ itemId, quantity }]; leave it empty to reverse every active
+// line. Reversed lines stay on the order with their new status. Returns the
+// reversed lines so callers can put the stock and stats back. `approval` is
+// the manager who signed off when the user couldn't do it on their own.
+orderSchema.methods.reverseLines = function(type, lines, user, reason, approval) {
+  const targetStatus = type === "void" ? "voided" : "refunded";
+  if (!this.canTransitionTo(targetStatus)) {
+    throw httpError(409, `Cannot ${type} an order that is ${this.status}`);
+  }
+
+  let requested;
+  if (!Array.isArray(lines) || !lines.length) {
+    requested = this.items
+      .filter(item => item.status === "active")
+      .map(item => ({ item, quantity: item.quantity }));
+  } else {
+    const seen = new Set();
+    requested = lines.map(line => {
+      const item = this.items.id(line.itemId);
+      if (!item || item.status !== "active" || seen.has(String(item._id))) {
+        throw httpError(400, `Line ${line.itemId} is not an active line on this order`);
+      }
+      seen.add(String(item._id));
+
+      const quantity = line.quantity === undefined ? item.quantity : Number(line.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity) {
+        throw httpError(400, `Quantity for ${item.name} must be between 1 and ${item.quantity}`);
+      }
+      return { item, quantity };
+    });
+  }
+
+  if (!requested.length) {
+    throw httpError(400, "There are no active lines to " + type);
+  }
+
+  const reversed = requested.map(({ item, quantity }) => {
+    let line = item;
+    if (quantity < item.quantity) {
+      const portion = quantity / item.quantity;
+      const split = { lineTotal: roundMoney(item.price * quantity) };
+
+      SPLIT_FIELDS.forEach(field => {
+        if (item[field] === undefined || item[field] === null) return;
+        split[field] = roundMoney(item[field] * portion);
+        item[field] = roundMoney(item[field] - split[field]);
+      });
+
+      item.quantity -= quantity;
+      item.lineTotal = roundMoney(item.price * item.quantity);
+
+      const { _id, ...rest } = item.toObject();
+      this.items.push({ ...rest, ...split, quantity });
+      line = this.items[this.items.length - 1];
+    }
+    line.status = targetStatus;
+    line.reason = reason;
+    return line;
+  });
+
+  const amount = roundMoney(reversed.reduce((sum, line) => sum + this.lineCharge(line), 0));
+
+  if (type === "void") {
+    this.voidedAmount = roundMoney((this.voidedAmount || 0) + amount);
+  } else {
+    this.refundedAmount = roundMoney((this.refundedAmount || 0) + amount);
+    this.paymentStatus = this.refundedAmount >= roundMoney(this.total - this.voidedAmount)
+      ? "refunded"
+      : "partially_refunded";
+  }
+
+  this.history.push({
+    action: type, status: this.status, amount, reason, user: user?.id, username: user?.username,
+    approvedBy: approval?.id, approvedByName: approval?.username
+  });
+
+  if (!this.items.some(item => item.status === "active")) {
+    this.transitionTo(targetStatus, user, reason);
+  }
+
+  return reversed;
+};
+
+// Open checks. Line prices are fixed when a round is added; discounts, VAT
+// and service charge are worked out again over the whole check whenever it
+// changes, and once more with the discounts given at payment.
+const requireOpenCheck = (order) => {
+  if (order.status !== "open" || !order.table) {
+    throw httpError(409, "This check is no longer open");
+  }
+};
+
+const lastRound = (rounds) => Math.max(0, ...rounds.map(round => round.number));
+
+orderSchema.methods.retotal = async function(discounts = []) {
+  const settings = await Settings.getSettings();
+  const lines = this.items.map(item => ({
+    ...item.toObject(),
+    discountAmount: 0,
+    taxExempt: false,
+    vatAdjustment: 0
+  }));
+
+  this.set(applyDiscountsAndTax(lines, discounts, settings.tax, this.type));
+  return this;
+};
+
+// Adds lines priced by Order.priceItems as the next round for the kitchen
+orderSchema.methods.addRound = function(lines, user) {
+  requireOpenCheck(this);
+
+  const number = lastRound(this.rounds) + 1;
+  lines.forEach(line => this.items.push({ ...line, round: number, kitchenStatus: "pending" }));
+  this.rounds.push({ number, sentAt: new Date(), user: user.id, username: user.username });
+  this.billRequestedAt = undefined;
+  return this;
+};
+
+// Takes lines off the check to split them onto another: [{ itemId, quantity? }].
+// Part of a line's quantity splits the line. Returns the lines taken.
+orderSchema.methods.takeLines = function(lines) {
+  requireOpenCheck(this);
+  if (!Array.isArray(lines) || !lines.length) {
+    throw httpError(400, "Choose the items to split off");
+  }
+
+  const seen = new Set();
+  const taken = lines.map(line => {
+    const item = mongoose.isValidObjectId(line?.itemId) ? this.items.id(line.itemId) : null;
+    if (!item || item.status !== "active" || seen.has(String(item._id))) {
+      throw httpError(400, `Line ${line?.itemId} is not on this check`);
+    }
+    seen.add(String(item._id));
+
+    const quantity = line.quantity === undefined ? item.quantity : Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity) {
+      throw httpError(400, `Quantity for ${item.name} must be between 1 and ${item.quantity}`);
+    }
+
+    const { _id, ...rest } = item.toObject();
+    if (quantity === item.quantity) {
+      this.items.pull(_id);
+      return { _id, ...rest };
+    }
+
+    item.quantity -= quantity;
+    item.lineTotal = roundMoney(item.price * item.quantity);
+    return { ...rest, quantity, lineTotal: roundMoney(item.price * quantity) };
+  });
+
+  if (!this.items.length) {
+    throw httpError(400, "Leave at least one item on the check");
+  }
+  this.billRequestedAt = undefined;
+  return taken;
+};
+
+// Puts lines taken off another check on this one, keeping their rounds
+orderSchema.methods.receiveLines = function(lines, rounds) {
+  const offset = lastRound(this.rounds);
+  const used = new Set(lines.map(line => line.round));
+
+  rounds
+    .filter(round => used.has(round.number))
+    .forEach(round => this.rounds.push({ ...round, number: round.number + offset }));
+  lines.forEach(line => this.items.push({ ...line, round: line.round + offset }));
+  this.billRequestedAt = undefined;
+  return this;
+};
+
+// Moves every line of `other` onto this check; `other` is left empty
+orderSchema.methods.mergeCheck = function(other, user) {
+  requireOpenCheck(this);
+  requireOpenCheck(other);
+  if (String(other._id) === String(this._id)) {
+    throw httpError(400, "A check can't be merged with itself");
+  }
+
+  this.receiveLines(other.items.map(item => item.toObject()), other.rounds.map(round => round.toObject()));
+  this.guests = (this.guests || 0) + (other.guests || 0) || undefined;
+  this.history.push({ action: "merged", status: this.status, reason: `Check ${String(other._id).slice(-4).toUpperCase()}`, user: user.id, username: user.username });
+  return this;
+};
+
+orderSchema.methods.moveToTable = function(table, user) {
+  requireOpenCheck(this);
+  if (String(table._id) === String(this.table)) {
+    throw httpError(400, `The check is already on table ${table.name}`);
+  }
+
+  this.history.push({ action: "moved", status: this.status, reason: `${this.tableName} to ${table.name}`, user: user.id, username: user.username });
+  this.table = table._id;
+  this.tableName = table.name;
+  return this;
+};
+
+// Equal shares of the total, in centavos so they add up exactly; the last
+// guest pays any odd centavo
+orderSchema.methods.splitShares = function() {
+  const ways = this.splitWays || 1;
+  const cents = Math.round((this.total || 0) * 100);
+  const share = Math.floor(cents / ways);
+  return Array.from({ length: ways }, (_, index) =>
+    (index === ways - 1 ? cents - share * (ways - 1) : share) / 100);
+};
+
+// Closes the check for payment. The sale is dated when it is paid, and if
+// the kitchen has sent everything out the guests have been served.
+orderSchema.methods.closeCheck = function(user) {
+  requireOpenCheck(this);
+  if (!this.items.length) {
+    throw httpError(400, "There is nothing on this check to pay for");
+  }
+
+  this.createdAt = new Date();
+  this.billRequestedAt = undefined;
+  this.transitionTo("paid", user);
+
+  const ready = this.items.filter(item => item.kitchenStatus === "ready").length;
+  if (ready === this.items.length) this.transitionTo("served", user);
+  else if (ready) this.transitionTo("preparing", user);
+  return this;
+};
+
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ shift: 1 });
+orderSchema.index({ "customer.account": 1, createdAt: -1 }, { partialFilterExpression: { "customer.account": { $exists: true } } });
+orderSchema.index({ table: 1 }, { partialFilterExpression: { status: "open" } });
+orderSchema.index({ terminal: 1, receiptNo: 1 }, { unique: true, partialFilterExpression: { receiptNo: { $exists: true } } });
+orderSchema.index({ clientKey: 1 }, { unique: true, partialFilterExpression: { clientKey: { $exists: true } } });
+
+export const Order = mongoose.models.Order || mongoose.model("Order", orderSchema);
+
+
+// Daily rollups of the order data. Every figure is derived from Order lines
+// (joined to Product.category), so any day can be thrown away and rebuilt.
+const STATS_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Longest range /api/stats will work out in one request
+const MAX_STATS_DAYS = 366;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Local calendar day as YYYY-MM-DD, the day sales are filed under
+const businessDate = (date) => {
+  const day = new Date(date);
+  return [day.getFullYear(), day.getMonth() + 1, day.getDate()]
+    .map((part, index) => String(part).padStart(index ? 2 : 4, "0"))
+    .join("-");
+};
+
+// Any date or datetime; both ends default to today
+const readStatsRange = ({ from, to } = {}) => {
+  const todayStart = startOfDay(new Date());
+  from = from ? new Date(from) : todayStart;
+  to = to ? new Date(to) : addDays(todayStart, 1);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    throw httpError(400, "Invalid date range");
+  }
+  if (to - from > MAX_STATS_DAYS * 24 * 60 * 60 * 1000) {
+    throw httpError(400, `Date range cannot exceed ${MAX_STATS_DAYS} days`);
+  }
+  return { from, to };
+};
+
+const statsLineSchema = new mongoose.Schema({
+  key: String,
+  name: String,
+  quantity: { type: Number, default: 0 },
+  revenue: { type: Number, default: 0 },
+}, { _id: false });
+
+const StatsSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+    unique: true,
+  },
+  // Orders still carrying at least one active line
+  orders: { type: Number, default: 0 },
+  voidedOrders: { type: Number, default: 0 },
+  refundedOrders: { type: Number, default: 0 },
+  dineInOrders: { type: Number, default: 0 },
+  takeoutOrders: { type: Number, default: 0 },
+  itemsSold: { type: Number, default: 0 },
+
+  grossSales: { type: Number, default: 0 },
+  vatAdjustment: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  serviceCharge: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 },
+  voids: { type: Number, default: 0 },
+  refunds: { type: Number, default: 0 },
+  netSales: { type: Number, default: 0 },
+
+  discounts: {
+    senior: { type: Number, default: 0 },
+    pwd: { type: Number, default: 0 },
+    manual: { type: Number, default: 0 },
+  },
+  payments: {
+    cash: { type: Number, default: 0 },
+    gcash: { type: Number, default: 0 },
+    maya: { type: Number, default: 0 },
+    card: { type: Number, default: 0 },
+    points: { type: Number, default: 0 },
+  },
+
+  categories: [statsLineSchema],
+  products: [statsLineSchema],
+  // Sales per product size, e.g. "Cafe Latte (Grande)"
+  variants: [statsLineSchema],
+  // Indexed by hour of day: { orders, revenue }
+  hourly: [{
+    _id: false,
+    orders: { type: Number, default: 0 },
+    revenue: { type: Number, default: 0 },
+  }],
+
+  rebuiltAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const SUMMARY_TOTALS = [
+  "orders", "voidedOrders", "refundedOrders", "dineInOrders", "takeoutOrders", "itemsSold",
+  "grossSales", "vatAdjustment", "discountTotal", "serviceCharge", "tax", "voids", "refunds", "netSales",
+];
+
+const emptySummary = () => ({
+  ...Object.fromEntries(SUMMARY_TOTALS.map(field => [field, 0])),
+  discounts: { senior: 0, pwd: 0, manual: 0 },
+  payments: Object.fromEntries(PAYMENT_METHODS.map(method => [method, 0])),
+  categories: [],
+  products: [],
+  variants: [],
+  hourly: Array.from({ length: 24 }, () => ({ orders: 0, revenue: 0 })),
+});
+
+// Adds summaries (live or rolled up) together
+const mergeSummaries = (summaries) => {
+  const merged = emptySummary();
+
+  const mergeLines = (target, lines) => {
+    lines.forEach(line => {
+      const existing = target.find(entry => entry.key === line.key);
+      if (existing) {
+        existing.quantity += line.quantity;
+        existing.revenue = roundMoney(existing.revenue + line.revenue);
+      } else {
+        target.push({ key: line.key, name: line.name, quantity: line.quantity, revenue: line.revenue });
+      }
+    });
+  };
+
+  summaries.forEach(summary => {
+    SUMMARY_TOTALS.forEach(field => {
+      merged[field] = roundMoney(merged[field] + (summary[field] || 0));
+    });
+    Object.keys(merged.discounts).forEach(kind => {
+      merged.discounts[kind] = roundMoney(merged.discounts[kind] + (summary.discounts?.[kind] || 0));
+    });
+    Object.keys(merged.payments).forEach(method => {
+      merged.payments[method] = roundMoney(merged.payments[method] + (summary.payments?.[method] || 0));
+    });
+    (summary.hourly || []).forEach((hour, index) => {
+      merged.hourly[index].orders += hour.orders || 0;
+      merged.hourly[index].revenue = roundMoney(merged.hourly[index].revenue + (hour.revenue || 0));
+    });
+    mergeLines(merged.categories, summary.categories || []);
+    mergeLines(merged.products, summary.products || []);
+    mergeLines(merged.variants, summary.variants || []);
+  });
+
+  merged.categories.sort((a, b) => b.revenue - a.revenue);
+  merged.products.sort((a, b) => b.revenue - a.revenue);
+  merged.variants.sort((a, b) => b.revenue - a.revenue);
+  return merged;
+};
+
+// Works out a summary straight from the orders placed in [from, to)
+StatsSchema.statics.summarize = async function(from, to) {
+  const reversed = { $in: ["$status", ["voided", "refunded"]] };
+  const net = {
+    $subtract: [
+      { $ifNull: ["$total", 0] },
+      { $add: [{ $ifNull: ["$voidedAmount", 0] }, { $ifNull: ["$refundedAmount", 0] }] }
+    ]
+  };
+  const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  // What a line brought in after discounts; older orders only have lineTotal or price
+  const lineRevenue = {
+    $ifNull: ["$items.amountDue", {
+      $subtract: [
+        { $ifNull: ["$items.lineTotal", { $multiply: ["$items.price", "$items.quantity"] }] },
+        { $ifNull: ["$items.discountAmount", 0] }
+      ]
+    }]
+  };
+
+  const activeLines = [
+    { $unwind: "$items" },
+    { $match: { $or: [{ "items.status": "active" }, { "items.status": { $exists: false } }] } },
+  ];
+
+  const [result] = await Order.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to }, status: { $ne: "open" } } },
+    { $facet: {
+      totals: [
+        { $group: {
+          _id: null,
+          orders: countIf({ $not: [reversed] }),
+          voidedOrders: countIf({ $eq: ["$status", "voided"] }),
+          refundedOrders: countIf({ $eq: ["$status", "refunded"] }),
+          dineInOrders: countIf({ $and: [{ $not: [reversed] }, { $eq: ["$type", "Dine In"] }] }),
+          takeoutOrders: countIf({ $and: [{ $not: [reversed] }, { $eq: ["$type", "Take Out"] }] }),
+          grossSales: { $sum: "$subtotal" },
+          vatAdjustment: { $sum: "$vatAdjustment" },
+          discountTotal: { $sum: "$discountTotal" },
+          serviceCharge: { $sum: "$serviceCharge" },
+          tax: { $sum: "$tax" },
+          voids: { $sum: "$voidedAmount" },
+          refunds: { $sum: "$refundedAmount" },
+          netSales: { $sum: net },
+        } }
+      ],
+      hourly: [
+        { $group: {
+          _id: { $hour: { date: "$createdAt", timezone: STATS_TIMEZONE } },
+          orders: countIf({ $not: [reversed] }),
+          revenue: { $sum: net },
+        } }
+      ],
+      payments: [
+        { $unwind: "$payments" },
+        { $group: { _id: "$payments.method", amount: { $sum: "$payments.amount" } } }
+      ],
+      discounts: [
+        { $unwind: "$discounts" },
+        { $group: { _id: "$discounts.kind", amount: { $sum: "$discounts.amount" } } }
+      ],
+      products: [
+        ...activeLines,
+        { $group: {
+          _id: { $ifNull: ["$items.product", "$items.name"] },
+          name: { $last: "$items.name" },
+          quantity: { $sum: "$items.quantity" },
+          revenue: { $sum: lineRevenue },
+        } },
+        { $lookup: { from: Product.collection.name, localField: "_id", foreignField: "_id", as: "product" } },
+        { $lookup: { from: Category.collection.name, localField: "product.category", foreignField: "_id", as: "category" } },
+        { $project: {
+          name: 1,
+          quantity: 1,
+          revenue: 1,
+          category: { $first: "$category._id" },
+          categoryName: { $first: "$category.name" },
+        } }
+      ],
+      variants: [
+        ...activeLines,
+        { $match: { "items.size": { $nin: [null, ""] } } },
+        { $group: {
+          _id: { product: { $ifNull: ["$items.product", "$items.name"] }, size: "$items.size" },
+          name: { $last: "$items.name" },
+          quantity: { $sum: "$items.quantity" },
+          revenue: { $sum: lineRevenue },
+        } }
+      ],
+    } }
+  ]);
+
+  const summary = emptySummary();
+  const totals = result.totals[0] || {};
+  SUMMARY_TOTALS.forEach(field => {
+    if (totals[field] !== undefined) summary[field] = roundMoney(totals[field] || 0);
+  });
+
+  result.hourly.forEach(hour => {
+    summary.hourly[hour._id] = { orders: hour.orders, revenue: roundMoney(hour.revenue) };
+  });
+  result.payments.forEach(payment => {
+    summary.payments[payment._id] = roundMoney((summary.payments[payment._id] || 0) + payment.amount);
+  });
+  result.discounts.forEach(discount => {
+    const key = STATUTORY_DISCOUNTS.includes(discount._id) ? discount._id : "manual";
+    summary.discounts[key] = roundMoney(summary.discounts[key] + discount.amount);
+  });
+
+  const categories = new Map();
+  result.products.forEach(line => {
+    const revenue = roundMoney(line.revenue);
+    summary.itemsSold += line.quantity;
+    summary.products.push({ key: String(line._id), name: line.name, quantity: line.quantity, revenue });
+
+    const key = line.category ? String(line.category) : "uncategorized";
+    const category = categories.get(key) || { key, name: line.categoryName || "Uncategorized", quantity: 0, revenue: 0 };
+    category.quantity += line.quantity;
+    category.revenue = roundMoney(category.revenue + revenue);
+    categories.set(key, category);
+  });
+  summary.categories = [...categories.values()];
+
+  result.variants.forEach(line => summary.variants.push({
+    key: `${line._id.product}:${line._id.size}`,
+    name: `${line.name} (${line._id.size})`,
+    quantity: line.quantity,
+    revenue: roundMoney(line.revenue),
+  }));
+
+  return mergeSummaries([summary]);
+};
+
+// Recomputes one day's rollup from its orders and stores it
+StatsSchema.statics.rebuildDay = async function(date) {
+  const day = startOfDay(date);
+  const summary = await this.summarize(day, addDays(day, 1));
+
+  return this.findOneAndUpdate(
+    { date: day },
+    { $set: { ...summary, rebuiltAt: new Date() } },
+    { upsert: true, new: true, lean: true }
+  );
+};
+
+StatsSchema.statics.rebuild = async function(from, to) {
+  let rebuilt = 0;
+  for (let day = startOfDay(from); day < to; day = addDays(day, 1)) {
+    await this.rebuildDay(day);
+    rebuilt++;
+  }
+  return rebuilt;
+};
+
+// Drops a stored rollup once one of its orders changes (void, refund) so the
+// next read rebuilds it
+StatsSchema.statics.invalidate = function(date) {
+  return this.deleteOne({ date: startOfDay(date) });
+};
+
+// Stats for any range. Whole days that have already ended come from the
+// rollups (built on first use); today and partial days are read live.
+StatsSchema.statics.getDashboardStats = async function(range) {
+  const todayStart = startOfDay(new Date());
+  const { from, to } = readStatsRange(range);
+
+  const rolledDays = [];
+  const liveRanges = [];
+  let cursor = from;
+
+  while (cursor < to) {
+    const dayStart = startOfDay(cursor);
+    const dayEnd = addDays(dayStart, 1);
+
+    if (cursor.getTime() === dayStart.getTime() && dayEnd <= to && dayEnd <= todayStart) {
+      rolledDays.push(dayStart);
+    } else {
+      const end = dayEnd < to ? dayEnd : to;
+      const last = liveRanges[liveRanges.length - 1];
+      if (last && last.to.getTime() === cursor.getTime()) {
+        last.to = end;
+      } else {
+        liveRanges.push({ from: cursor, to: end });
+      }
+    }
+    cursor = dayEnd;
+  }
+
+  const stored = await this.find({ date: { $in: rolledDays } }).lean();
+  const storedDays = new Set(stored.map(doc => doc.date.getTime()));
+  for (const day of rolledDays) {
+    if (!storedDays.has(day.getTime())) stored.push(await this.rebuildDay(day));
+  }
+
+  const live = await Promise.all(liveRanges.map(range => this.summarize(range.from, range.to)));
+  const summary = mergeSummaries([...stored, ...live]);
+
+  return {
+    from,
+    to,
+    ...summary,
+    averageOrder: summary.orders ? roundMoney(summary.netSales / summary.orders) : 0,
+    topProducts: summary.products.slice(0, 10),
+  };
+};
+
+// Sales reports read straight from the orders, grouped one of these ways.
+// Order groups count whole orders; product and category count the lines
+// still active; payment adds up the tenders.
+export const REPORT_GROUPS = ["day", "hour", "type", "cashier", "product", "category", "payment"];
+
+const ORDER_REPORT_COLUMNS = [
+  "orders", "voidedOrders", "refundedOrders", "items",
+  "gross", "discounts", "vatAdjustment", "serviceCharge", "tax", "voids", "refunds", "net",
+];
+const LINE_REPORT_COLUMNS = ["orders", "items", "gross", "discounts", "vatAdjustment", "tax", "net"];
+const PAYMENT_REPORT_COLUMNS = ["orders", "amount"];
+
+// { from, to, groupBy } gives { columns, rows: [{ key, name, ...columns }],
+// totals }. Figures follow the dashboard's: gross is before discounts, net
+// is what was paid less voids and refunds (for a line, what the line was
+// paid, VAT included).
+StatsSchema.statics.salesReport = async function({ from, to, groupBy = "day" } = {}) {
+  if (!REPORT_GROUPS.includes(groupBy)) {
+    throw httpError(400, `Group by must be one of: ${REPORT_GROUPS.join(", ")}`);
+  }
+  const range = readStatsRange({ from, to });
+
+  const reversed = { $in: ["$status", ["voided", "refunded"]] };
+  const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+  const isActive = (line) => ({ $eq: [{ $ifNull: [`${line}.status`, "active"] }, "active"] });
+  const match = { $match: { createdAt: { $gte: range.from, $lt: range.to }, status: { $ne: "open" } } };
+
+  let columns;
+  let result;
+
+  if (groupBy === "product" || groupBy === "category") {
+    columns = LINE_REPORT_COLUMNS;
+    [result] = await Order.aggregate([
+      match,
+      { $unwind: "$items" },
+      { $match: { $expr: isActive("$items") } },
+      { $facet: {
+        orders: [{ $group: { _id: "$_id" } }, { $count: "count" }],
+        rows: [
+          { $group: {
+            _id: { $ifNull: ["$items.product", "$items.name"] },
+            name: { $last: "$items.name" },
+            orders: { $addToSet: "$_id" },
+            items: { $sum: "$items.quantity" },
+            gross: { $sum: { $ifNull: ["$items.lineTotal", { $multiply: ["$items.price", "$items.quantity"] }] } },
+            discounts: { $sum: "$items.discountAmount" },
+            vatAdjustment: { $sum: "$items.vatAdjustment" },
+            tax: { $sum: "$items.tax" },
+            net: { $sum: { $ifNull: ["$items.amountDue", {
+              $subtract: [
+                { $ifNull: ["$items.lineTotal", { $multiply: ["$items.price", "$items.quantity"] }] },
+                { $ifNull: ["$items.discountAmount", 0] }
+              ]
+            }] } },
+          } },
+          { $lookup: { from: Product.collection.name, localField: "_id", foreignField: "_id", as: "product" } },
+          { $lookup: { from: Category.collection.name, localField: "product.category", foreignField: "_id", as: "category" } },
+          { $project: {
+            name: 1, orders: 1, items: 1, gross: 1, discounts: 1, vatAdjustment: 1, tax: 1, net: 1,
+            category: { $first: "$category._id" },
+            categoryName: { $first: "$category.name" },
+          } }
+        ],
+      } }
+    ]);
+
+    const groups = new Map();
+    result.rows.forEach(line => {
+      const key = groupBy === "product"
+        ? String(line._id)
+        : (line.category ? String(line.category) : "uncategorized");
+      const name = groupBy === "product" ? line.name : (line.categoryName || "Uncategorized");
+      const group = groups.get(key) || { key, name, orders: new Set(), items: 0, gross: 0, discounts: 0, vatAdjustment: 0, tax: 0, net: 0 };
+
+      line.orders.forEach(id => group.orders.add(String(id)));
+      ["items", "gross", "discounts", "vatAdjustment", "tax", "net"].forEach(field => {
+        group[field] += line[field] || 0;
+      });
+      groups.set(key, group);
+    });
+    result.rows = [...groups.values()].map(group => ({ ...group, orders: group.orders.size }));
+    result.orders = result.orders[0]?.count || 0;
+  } else if (groupBy === "payment") {
+    columns = PAYMENT_REPORT_COLUMNS;
+    [result] = await Order.aggregate([
+      match,
+      { $facet: {
+        orders: [{ $count: "count" }],
+        rows: [
+          { $unwind: "$payments" },
+          { $group: { _id: "$payments.method", orders: { $addToSet: "$_id" }, amount: { $sum: "$payments.amount" } } },
+        ],
+      } }
+    ]);
+    result.rows = result.rows.map(row => ({ key: row._id, name: row._id, orders: row.orders.length, amount: row.amount }));
+    result.orders = result.orders[0]?.count || 0;
+  } else {
+    columns = ORDER_REPORT_COLUMNS;
+    const keys = {
+      day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: STATS_TIMEZONE } },
+      hour: { $hour: { date: "$createdAt", timezone: STATS_TIMEZONE } },
+      type: { $ifNull: ["$type", "Dine In"] },
+      // Whoever rang up the sale, or took payment for an open check
+      cashier: { $ifNull: [{ $first: {
+        $map: {
+          input: { $filter: {
+            input: { $ifNull: ["$history", []] },
+            cond: { $or: [
+              { $eq: ["$$this.action", "created"] },
+              { $and: [{ $eq: ["$$this.action", "status"] }, { $eq: ["$$this.status", "paid"] }] }
+            ] }
+          } },
+          in: "$$this.username"
+        }
+      } }, "Unknown"] },
+    };
+    const rows = await Order.aggregate([
+      match,
+      { $group: {
+        _id: keys[groupBy],
+        orders: countIf({ $not: [reversed] }),
+        voidedOrders: countIf({ $eq: ["$status", "voided"] }),
+        refundedOrders: countIf({ $eq: ["$status", "refunded"] }),
+        items: { $sum: { $sum: {
+          $map: { input: { $filter: { input: "$items", cond: isActive("$$this") } }, in: "$$this.quantity" }
+        } } },
+        gross: { $sum: "$subtotal" },
+        discounts: { $sum: "$discountTotal" },
+        vatAdjustment: { $sum: "$vatAdjustment" },
+        serviceCharge: { $sum: "$serviceCharge" },
+        tax: { $sum: "$tax" },
+        voids: { $sum: "$voidedAmount" },
+        refunds: { $sum: "$refundedAmount" },
+        net: { $sum: { $subtract: [
+          { $ifNull: ["$total", 0] },
+          { $add: [{ $ifNull: ["$voidedAmount", 0] }, { $ifNull: ["$refundedAmount", 0] }] }
+        ] } },
+      } }
+    ]);
+    result = {
+      rows: rows.map(({ _id, ...row }) => ({
+        key: _id,
+        name: groupBy === "hour" ? `${String(_id).padStart(2, "0")}:00` : String(_id),
+        ...row,
+      })),
+    };
+  }
+
+  const counts = ["orders", "voidedOrders", "refundedOrders", "items"];
+  const rows = result.rows.map(row => ({
+    key: row.key,
+    name: row.name,
+    ...Object.fromEntries(columns.map(column => [
+      column,
+      counts.includes(column) ? row[column] || 0 : roundMoney(row[column] || 0),
+    ])),
+  }));
+
+  if (groupBy === "day" || groupBy === "hour") {
+    rows.sort((a, b) => (a.key < b.key ? -1 : 1));
+  } else {
+    const measure = groupBy === "payment" ? "amount" : "net";
+    rows.sort((a, b) => b[measure] - a[measure]);
+  }
+
+  const totals = Object.fromEntries(columns.map(column => [
+    column,
+    rows.reduce((sum, row) => (counts.includes(column) ? sum + row[column] : roundMoney(sum + row[column])), 0),
+  ]));
+  // A line or tender group can share an order with another
+  if (result.orders !== undefined) totals.orders = result.orders;
+
+  return { from: range.from, to: range.to, groupBy, columns, rows, totals };
+};
+
+// Gross margin per product over [from, to) from the lines still active:
+// sales net of discounts and VAT against what the recipes cost when each
+// line was sold. Lines sold without a recipe have no cost and are counted
+// apart, so a product's margin only covers its costed lines.
+StatsSchema.statics.marginReport = async function({ from, to } = {}) {
+  const range = readStatsRange({ from, to });
+  const netOfVat = {
+    $subtract: [
+      { $ifNull: ["$items.amountDue", {
+        $subtract: [
+          { $ifNull: ["$items.lineTotal", { $multiply: ["$items.price", "$items.quantity"] }] },
+          { $ifNull: ["$items.discountAmount", 0] }
+        ]
+      }] },
+      { $ifNull: ["$items.tax", 0] }
+    ]
+  };
+  const costed = { $ne: [{ $type: "$items.unitCost" }, "missing"] };
+
+  const lines = await Order.aggregate([
+    { $match: { createdAt: { $gte: range.from, $lt: range.to }, status: { $ne: "open" } } },
+    { $unwind: "$items" },
+    { $match: { $or: [{ "items.status": "active" }, { "items.status": { $exists: false } }] } },
+    { $group: {
+      _id: { $ifNull: ["$items.product", "$items.name"] },
+      name: { $last: "$items.name" },
+      quantity: { $sum: "$items.quantity" },
+      sales: { $sum: netOfVat },
+      costedQuantity: { $sum: { $cond: [costed, "$items.quantity", 0] } },
+      costedSales: { $sum: { $cond: [costed, netOfVat, 0] } },
+      cost: { $sum: { $cond: [costed, { $multiply: ["$items.unitCost", "$items.quantity"] }, 0] } },
+    } }
+  ]);
+
+  const margin = (sales, cost) => ({
+    margin: roundMoney(sales - cost),
+    marginPercent: sales ? Math.round((sales - cost) / sales * 10000) / 100 : null,
+  });
+
+  const rows = lines
+    .map(line => {
+      const sales = roundMoney(line.sales);
+      const costedSales = roundMoney(line.costedSales);
+      const cost = roundMoney(line.cost);
+      return {
+        key: String(line._id),
+        name: line.name,
+        quantity: line.quantity,
+        sales,
+        uncostedQuantity: line.quantity - line.costedQuantity,
+        cost,
+        unitCost: line.costedQuantity ? roundMoney(cost / line.costedQuantity) : null,
+        ...(line.costedQuantity ? margin(costedSales, cost) : { margin: null, marginPercent: null }),
+        costedSales,
+      };
+    })
+    .sort((a, b) => (b.margin ?? -Infinity) - (a.margin ?? -Infinity));
+
+  const costedSales = roundMoney(rows.reduce((sum, row) => sum + row.costedSales, 0));
+  const cost = roundMoney(rows.reduce((sum, row) => sum + row.cost, 0));
+  return {
+    from: range.from,
+    to: range.to,
+    rows,
+    totals: {
+      quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+      sales: roundMoney(rows.reduce((sum, row) => sum + row.sales, 0)),
+      uncostedQuantity: rows.reduce((sum, row) => sum + row.uncostedQuantity, 0),
+      cost,
+      costedSales,
+      ...margin(costedSales, cost),
+    },
+  };
+};
+
+// Today so far against the same weekday last week up to the same time of
+// day. `lastWeekDay` is the whole of that day, for the hourly chart.
+StatsSchema.statics.weekOnWeek = async function(now = new Date()) {
+  const todayStart = startOfDay(now);
+  const lastWeekStart = addDays(todayStart, -7);
+
+  const [today, lastWeek, lastWeekDay] = await Promise.all([
+    this.getDashboardStats({ from: todayStart, to: addDays(todayStart, 1) }),
+    this.getDashboardStats({ from: lastWeekStart, to: addDays(now, -7) }),
+    this.getDashboardStats({ from: lastWeekStart, to: addDays(lastWeekStart, 1) }),
+  ]);
+  return { now, today, lastWeek, lastWeekDay };
+};
+
+export const Stats = mongoose.models.Stats || mongoose.model("Stats", StatsSchema);
+
+
+const STOCK_MOVEMENT_TYPES = ["sale", "void", "refund", "restock", "adjustment", "waste"];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Set when the stock belongs to one of the product's variants
+    variant: mongoose.Schema.Types.ObjectId,
+    variantName: String,
+    type: {
+      type: String,
+      enum: STOCK_MOVEMENT_TYPES,
+      required: true,
+    },
+    // Signed change: negative for sales and waste, positive for restocks
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    stockBefore: Number,
+    stockAfter: Number,
+    // Pesos per item paid, on restocks that came with a price
+    unitCost: Number,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    username: String,
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+// Changes a product's stock and writes the ledger entry in the same session.
+// Decrements that would take stock below zero are refused. A restock with a
+// `unitCost` folds it into the average cost.
+stockMovementSchema.statics.apply = async function({ product, variant, type, quantity, unitCost, user, reason, order, purchaseOrder }, session) {
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw httpError(400, "Quantity must be a non-zero whole number");
+  }
+
+  // Products with variants keep their stock on each variant
+  const filter = { _id: product };
+  let update;
+  if (variant) {
+    filter.variants = { $elemMatch: { _id: variant, ...(quantity < 0 ? { stock: { $gte: -quantity } } : {}) } };
+    update = { $inc: { "variants.$.stock": quantity } };
+  } else {
+    filter["variants.0"] = { $exists: false };
+    if (quantity < 0) filter.stock = { $gte: -quantity };
+    update = { $inc: { stock: quantity } };
+  }
+
+  const updated = await Product.findOneAndUpdate(filter, update, { new: true, session });
+
+  if (!updated) {
+    const existing = await Product.findById(product, "name stock variants").session(session).lean();
+    if (!existing) throw httpError(404, "Product not found");
+
+    if (!variant) {
+      if (existing.variants?.length) throw httpError(400, `Choose a size of ${existing.name}`);
+      throw httpError(409, `Insufficient stock for ${existing.name} (${existing.stock} left)`);
+    }
+
+    const current = existing.variants?.find(v => String(v._id) === String(variant));
+    if (!current) throw httpError(404, `Size not found for ${existing.name}`);
+    throw httpError(409, `Insufficient stock for ${existing.name} (${current.name}) (${current.stock} left)`);
+  }
+
+  const target = variant ? updated.variants.id(variant) : updated;
+  const stockBefore = target.stock - quantity;
+
+  const costed = type === "restock" && unitCost !== undefined;
+  if (costed) {
+    // What was already on the shelf at the old cost, plus what came in at the new one
+    const cost = Math.round((stockBefore * (target.cost || 0) + quantity * unitCost) / target.stock * 10000) / 10000;
+    const path = variant ? "variants.$." : "";
+    await Product.updateOne(
+      variant ? { _id: product, "variants._id": variant } : { _id: product },
+      { $set: { [`${path}cost`]: cost, [`${path}lastCost`]: unitCost } },
+      { session }
+    );
+  }
+
+  const [movement] = await this.create([{
+    product,
+    variant,
+    variantName: variant ? target.name : undefined,
+    type,
+    quantity,
+    stockBefore,
+    stockAfter: target.stock,
+    unitCost: costed ? unitCost : undefined,
+    order,
+    purchaseOrder,
+    user: user?.id,
+    username: user?.username,
+    reason
+  }], { session });
+
+  return movement;
+};
+
+// Deducts ("sale") or returns ("void", "refund") the stock for every line of
+// an order. Lines with a recipe take their ingredients instead; a sale notes
+// each line's recipe and cost on it first so returns put back the same.
+stockMovementSchema.statics.applyOrder = async function(order, type, user, session, reason = '') {
+  if (type === "sale") await Ingredient.costLines(order.items, session);
+
+  const sign = type === "sale" ? -1 : 1;
+  const quantities = new Map();
+
+  order.items.filter(item => !item.recipe?.length).forEach(item => {
+    const key = `${item.product}:${item.variant || ''}`;
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  });
+
+  const movements = [];
+  for (const [key, quantity] of quantities) {
+    const [product, variant] = key.split(":");
+    movements.push(await this.apply({
+      product,
+      variant: variant || undefined,
+      type,
+      quantity: sign * quantity,
+      user,
+      reason,
+      order: order._id
+    }, session));
+  }
+
+  await IngredientMovement.applyOrder(order, type, user, session, reason);
+  return movements;
+};
+
+export const StockMovement = mongoose.models.StockMovement || mongoose.model("StockMovement", stockMovementSchema);
+
+
+// Ingredients that recipes are made from, counted in one unit each. Sales
+// never wait on an ingredient: the on-hand figure is what the recipes say
+// should be left, and may go below 0 until the next physical count.
+export const INGREDIENT_UNITS = ["g", "kg", "ml", "L", "pc"];
+
+// Ingredient quantities are kept to the thousandth of a unit
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const ingredientSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Ingredient name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [60, "Ingredient names can be at most 60 characters"],
+    },
+    unit: {
+      type: String,
+      enum: { values: INGREDIENT_UNITS, message: `Unit must be one of: ${INGREDIENT_UNITS.join(", ")}` },
+      required: [true, "Unit is required"],
+    },
+    onHand: {
+      type: Number,
+      default: 0,
+    },
+    // Pesos per unit, averaged over what was bought
+    cost: {
+      type: Number,
+      default: 0,
+      min: [0, "Cost cannot be negative"],
+    },
+    // Pesos per unit on the latest purchase with a price
+    lastCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // On hand at or below this shows as low
+    reorderLevel: {
+      type: Number,
+      default: 0,
+      min: [0, "Reorder level cannot be negative"],
+    },
+    lastCountedAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+catalogErrors(ingredientSchema, "ingredient");
+
+// Notes on each sold line the recipe it was made with (the size's own, or
+// else the product's) and what one item cost at today's ingredient costs
+ingredientSchema.statics.costLines = async function(items, session) {
+  const productIds = [...new Set(items.map(item => String(item.product)).filter(Boolean))];
+  const products = await Product.find({ _id: { $in: productIds } }, "recipe variants._id variants.recipe")
+    .session(session || null)
+    .lean();
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  const recipeFor = (item) => {
+    const product = byId.get(String(item.product));
+    if (!product) return [];
+    const variant = item.variant && product.variants?.find(v => String(v._id) === String(item.variant));
+    return variant?.recipe?.length ? variant.recipe : product.recipe || [];
+  };
+
+  const ingredientIds = [...new Set(items.flatMap(item => recipeFor(item).map(line => String(line.ingredient))))];
+  const ingredients = new Map((await this.find({ _id: { $in: ingredientIds } }, "name unit cost")
+    .session(session || null)
+    .lean()).map(ingredient => [String(ingredient._id), ingredient]));
+
+  items.forEach(item => {
+    const recipe = recipeFor(item)
+      .filter(line => ingredients.has(String(line.ingredient)))
+      .map(line => {
+        const ingredient = ingredients.get(String(line.ingredient));
+        return { ingredient: ingredient._id, name: ingredient.name, unit: ingredient.unit, quantity: line.quantity, cost: ingredient.cost };
+      });
+    if (!recipe.length) return;
+
+    item.recipe = recipe;
+    item.unitCost = roundMoney(recipe.reduce((sum, line) => sum + line.quantity * line.cost, 0));
+  });
+};
+
+export const Ingredient = mongoose.models.Ingredient || mongoose.model("Ingredient", ingredientSchema);
+
+// "count" is a physical count: its quantity is the difference between what
+// was counted and what the recipes said was on hand
+const INGREDIENT_MOVEMENT_TYPES = ["sale", "void", "refund", "purchase", "adjustment", "waste", "count"];
+
+const ingredientMovementSchema = new mongoose.Schema(
+  {
+    ingredient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ingredient",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: INGREDIENT_MOVEMENT_TYPES,
+      required: true,
+    },
+    // Signed change in the ingredient's unit
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    onHandBefore: Number,
+    onHandAfter: Number,
+    // Pesos per unit: paid for a purchase, the running cost otherwise
+    unitCost: Number,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    username: String,
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+ingredientMovementSchema.index({ ingredient: 1, createdAt: -1 });
+ingredientMovementSchema.index({ createdAt: -1, type: 1 });
+
+// Changes an ingredient's on-hand quantity and writes the ledger entry in the
+// same session. A purchase with a `unitCost` folds it into the average cost.
+ingredientMovementSchema.statics.apply = async function({ ingredient, type, quantity, unitCost, user, reason, order, purchaseOrder }, session) {
+  quantity = roundQuantity(Number(quantity));
+  if (!Number.isFinite(quantity) || quantity === 0) {
+    throw httpError(400, "Quantity must be a number other than 0");
+  }
+
+  const update = { onHand: { $round: [{ $add: ["$onHand", quantity] }, 3] } };
+  if (type === "purchase" && unitCost !== undefined) {
+    // What is already on the shelf (none if the count has gone below 0) at
+    // the old cost, plus what was bought at the new one
+    const shelf = { $max: ["$onHand", 0] };
+    update.cost = { $round: [{
+      $divide: [
+        { $add: [{ $multiply: [shelf, "$cost"] }, quantity * unitCost] },
+        { $add: [shelf, quantity] }
+      ]
+    }, 4] };
+    update.lastCost = unitCost;
+  }
+
+  const updated = await Ingredient.findOneAndUpdate({ _id: ingredient }, [{ $set: update }], { new: true, session });
+  if (!updated) throw httpError(404, "Ingredient not found");
+
+  const [movement] = await this.create([{
+    ingredient,
+    type,
+    quantity,
+    onHandBefore: roundQuantity(updated.onHand - quantity),
+    onHandAfter: updated.onHand,
+    unitCost: type === "purchase" && unitCost !== undefined ? unitCost : updated.cost,
+    order,
+    purchaseOrder,
+    user: user?.id,
+    username: user?.username,
+    reason
+  }], { session });
+
+  return movement;
+};
+
+// Takes ("sale") or puts back ("void", "refund") the ingredients of every
+// order line that carries a recipe
+ingredientMovementSchema.statics.applyOrder = async function(order, type, user, session, reason = '') {
+  const sign = type === "sale" ? -1 : 1;
+  const quantities = new Map();
+
+  order.items.forEach(item => (item.recipe || []).forEach(line => {
+    const key = String(line.ingredient);
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity * line.quantity);
+  }));
+
+  const movements = [];
+  for (const [ingredient, quantity] of quantities) {
+    movements.push(await this.apply({ ingredient, type, quantity: sign * quantity, user, reason, order: order._id }, session));
+  }
+  return movements;
+};
+
+// Theoretical against actual use of each ingredient over [from, to): what
+// the recipes say sales used (net of voids and refunds) beside that plus
+// what the physical counts found missing. Waste and purchases are shown on
+// their own.
+ingredientMovementSchema.statics.usage = async function({ from, to } = {}) {
+  const range = readStatsRange({ from, to });
+
+  const [ingredients, totals] = await Promise.all([
+    Ingredient.find({}, "name unit cost onHand reorderLevel lastCountedAt isActive").sort({ name: 1 }).lean(),
+    this.aggregate([
+      { $match: { createdAt: { $gte: range.from, $lt: range.to } } },
+      { $group: { _id: { ingredient: "$ingredient", type: "$type" }, quantity: { $sum: "$quantity" } } }
+    ])
+  ]);
+
+  const byIngredient = new Map();
+  totals.forEach(({ _id, quantity }) => {
+    const key = String(_id.ingredient);
+    if (!byIngredient.has(key)) byIngredient.set(key, {});
+    byIngredient.get(key)[_id.type] = quantity;
+  });
+
+  const rows = ingredients
+    .map(ingredient => {
+      const moved = byIngredient.get(String(ingredient._id)) || {};
+      const theoretical = roundQuantity(-((moved.sale || 0) + (moved.void || 0) + (moved.refund || 0)));
+      // A count that found less than expected means more was used
+      const variance = roundQuantity(-(moved.count || 0));
+      const actual = roundQuantity(theoretical + variance);
+
+      return {
+        ingredient: ingredient._id,
+        name: ingredient.name,
+        unit: ingredient.unit,
+        cost: ingredient.cost,
+        onHand: ingredient.onHand,
+        low: ingredient.isActive !== false && ingredient.onHand <= ingredient.reorderLevel,
+        lastCountedAt: ingredient.lastCountedAt || null,
+        purchased: roundQuantity(moved.purchase || 0),
+        waste: roundQuantity(-(moved.waste || 0)),
+        adjusted: roundQuantity(moved.adjustment || 0),
+        theoretical,
+        actual,
+        variance,
+        variancePercent: theoretical ? Math.round(variance / theoretical * 10000) / 100 : null,
+        varianceCost: roundMoney(variance * ingredient.cost),
+        isActive: ingredient.isActive !== false,
+      };
+    })
+    .filter(row => row.isActive || byIngredient.has(String(row.ingredient)));
+
+  return {
+    from: range.from,
+    to: range.to,
+    rows,
+    varianceCost: roundMoney(rows.reduce((sum, row) => sum + row.varianceCost, 0)),
+  };
+};
+
+export const IngredientMovement = mongoose.models.IngredientMovement || mongoose.model("IngredientMovement", ingredientMovementSchema);
+
+
+// Who stock and ingredients are bought from
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [80, "Supplier names can be at most 80 characters"],
+    },
+    contactName: {
+      type: String,
+      trim: true,
+      maxlength: [60, "Contact names can be at most 60 characters"],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Phone numbers can be at most 30 characters"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, "Email can be at most 100 characters"],
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Addresses can be at most 200 characters"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Notes can be at most 200 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+catalogErrors(supplierSchema, "supplier");
+
+export const Supplier = mongoose.models.Supplier || mongoose.model("Supplier", supplierSchema);
+
+// A draft is still being put together; "partial" has had some deliveries.
+// Cancelling a part-received order closes it with what already came.
+const PURCHASE_ORDER_STATUSES = ["draft", "ordered", "partial", "received", "cancelled"];
+
+const PURCHASE_ORDER_TRANSITIONS = {
+  draft: ["ordered", "cancelled"],
+  ordered: ["partial", "received", "cancelled"],
+  partial: ["partial", "received", "cancelled"],
+  received: [],
+  cancelled: [],
+};
+
+// Still waiting on deliveries; their quantities count as on order
+export const OUTSTANDING_PURCHASE_ORDER_STATUSES = ["draft", "ordered", "partial"];
+
+const formatPurchaseOrderNumber = (number) => `PO-${String(number).padStart(6, "0")}`;
+
+// One product, size or ingredient on a purchase order. Products come in
+// whole items; ingredients in their own unit.
+const purchaseOrderLineSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ["product", "ingredient"],
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ingredient",
+  },
+  // Names as they were when the line was added, e.g. "Iced Tea (Large)"
+  name: String,
+  unit: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, "Order quantities must be more than 0"],
+  },
+  received: {
+    type: Number,
+    default: 0,
+  },
+  // Pesos per unit agreed with the supplier
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, "Unit costs cannot be negative"],
+  },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    poNumber: String,
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Choose a supplier"],
+    },
+    supplierName: String,
+    status: {
+      type: String,
+      enum: PURCHASE_ORDER_STATUSES,
+      default: "draft",
+    },
+    lines: {
+      type: [purchaseOrderLineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "Add at least one line to the purchase order",
+      },
+    },
+    // Ordered value at the agreed costs, and what has come in at the costs paid
+    total: {
+      type: Number,
+      default: 0,
+    },
+    receivedTotal: {
+      type: Number,
+      default: 0,
+    },
+    expectedAt: Date,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Notes can be at most 200 characters"],
+    },
+    // One entry per delivery, with what came in against which line
+    receipts: [
+      {
+        reference: String,
+        lines: [
+          {
+            line: mongoose.Schema.Types.ObjectId,
+            name: String,
+            quantity: Number,
+            unitCost: Number,
+            _id: false,
+          },
+        ],
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        username: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
       },
-      hourlyStats: {},
-      topProducts: []
+    ],
+    history: [
+      {
+        action: String,
+        status: String,
+        reason: String,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        username: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+    orderedAt: Date,
+    closedAt: Date,
+  },
+  { timestamps: true }
+);
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+
+purchaseOrderSchema.pre("validate", function() {
+  this.total = roundMoney(this.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0));
+  this.receivedTotal = roundMoney(this.receipts
+    .flatMap(receipt => receipt.lines)
+    .reduce((sum, line) => sum + line.quantity * line.unitCost, 0));
+});
+
+purchaseOrderSchema.post("save", function(error, doc, next) {
+  if (error.code === 11000) return next(httpError(409, "Another purchase order just took that number; please try again"));
+  if (error.name === "ValidationError") return next(httpError(400, Object.values(error.errors)[0].message));
+  next(error);
+});
+
+purchaseOrderSchema.statics.nextNumber = async function(session) {
+  const last = await this.findOne({}, "number").sort({ number: -1 }).session(session || null).lean();
+  const number = (last?.number || 0) + 1;
+  return { number, poNumber: formatPurchaseOrderNumber(number) };
+};
+
+// Turns [{ product, variant?, quantity, unitCost? } or { ingredient, ... }]
+// into order lines, checking each item and naming it. A line's cost
+// defaults to what the item last came in at.
+purchaseOrderSchema.statics.buildLines = async function(lines, session) {
+  if (!Array.isArray(lines) || !lines.length) throw httpError(400, "Add at least one line to the purchase order");
+
+  const ids = (field) => lines.map(line => line?.[field]).filter(Boolean);
+  if ([...ids("product"), ...ids("ingredient"), ...ids("variant")].some(id => !mongoose.isValidObjectId(id))) {
+    throw httpError(400, "Invalid product or ingredient ID");
+  }
+  const [products, ingredients] = await Promise.all([
+    Product.find({ _id: { $in: ids("product") } }, "name stock cost lastCost variants recipe").session(session || null).lean(),
+    Ingredient.find({ _id: { $in: ids("ingredient") } }, "name unit cost lastCost").session(session || null).lean(),
+  ]);
+
+  const seen = new Set();
+  return lines.map(line => {
+    let item;
+    if (line?.ingredient) {
+      const ingredient = ingredients.find(i => String(i._id) === String(line.ingredient));
+      if (!ingredient) throw httpError(400, "Ingredient not found");
+      item = { kind: "ingredient", ingredient: ingredient._id, name: ingredient.name, unit: ingredient.unit, source: ingredient };
+    } else {
+      const product = products.find(p => String(p._id) === String(line?.product));
+      if (!product) throw httpError(400, "Choose a product or ingredient for each line");
+
+      const variant = line.variant && product.variants?.find(v => String(v._id) === String(line.variant));
+      if (line.variant && !variant) throw httpError(400, `Size not found for ${product.name}`);
+      if (!variant && product.variants?.length) throw httpError(400, `Choose a size of ${product.name}`);
+      if (variant?.recipe?.length || product.recipe?.length) {
+        throw httpError(400, `${product.name} is made from its recipe; order its ingredients instead`);
+      }
+      item = {
+        kind: "product",
+        product: product._id,
+        variant: variant?._id,
+        name: variant ? `${product.name} (${variant.name})` : product.name,
+        unit: "pc",
+        source: variant || product,
+      };
+    }
+
+    const key = `${item.product || item.ingredient}:${item.variant || ""}`;
+    if (seen.has(key)) throw httpError(400, `${item.name} is on the order twice`);
+    seen.add(key);
+
+    const quantity = Number(line.quantity);
+    if (item.kind === "product" ? !Number.isInteger(quantity) || quantity < 1 : !(quantity > 0)) {
+      throw httpError(400, `Enter ${item.kind === "product" ? "a whole number of at least 1" : "more than 0"} for ${item.name}`);
+    }
+    const unitCost = line.unitCost === undefined || line.unitCost === ""
+      ? item.source.lastCost || item.source.cost || 0
+      : Number(line.unitCost);
+    if (!Number.isFinite(unitCost) || unitCost < 0) throw httpError(400, `The cost of ${item.name} must be 0 or more`);
+
+    const { source, ...fields } = item;
+    return { ...fields, quantity: roundQuantity(quantity), unitCost };
+  });
+};
+
+purchaseOrderSchema.methods.transitionTo = function(status, user, reason, action = "status") {
+  if (!(PURCHASE_ORDER_TRANSITIONS[this.status] || []).includes(status)) {
+    throw httpError(409, `Cannot move a purchase order from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  if (status === "ordered") this.orderedAt = new Date();
+  if (["received", "cancelled"].includes(status)) this.closedAt = new Date();
+  this.history.push({ action, status, reason, user: user?.id, username: user?.username });
+  return this;
+};
+
+// Books one delivery of [{ line, quantity, unitCost? }]: each raises the
+// item's stock through its ledger at the cost paid (the agreed cost unless
+// given), which also updates its last and average cost. Nothing can come in
+// beyond what is still outstanding on the line. Run it in `session` with the
+// order's save.
+purchaseOrderSchema.methods.receive = async function(entries, user, reference, session) {
+  if (!["ordered", "partial"].includes(this.status)) {
+    throw httpError(409, `A ${this.status} purchase order can't be received`);
+  }
+  if (!Array.isArray(entries) || !entries.length) throw httpError(400, "Enter what was received");
+
+  const received = [];
+  for (const entry of entries) {
+    const line = mongoose.isValidObjectId(entry?.line) && this.lines.id(entry.line);
+    if (!line || received.some(r => String(r.line) === String(line._id))) {
+      throw httpError(400, "Unknown or repeated purchase order line");
+    }
+
+    const outstanding = roundQuantity(line.quantity - line.received);
+    const quantity = roundQuantity(Number(entry.quantity));
+    if (!(quantity > 0) || quantity > outstanding || (line.kind === "product" && !Number.isInteger(quantity))) {
+      throw httpError(400, `Receive from ${line.kind === "product" ? 1 : "more than 0"} to ${outstanding} of ${line.name}`);
+    }
+    const unitCost = entry.unitCost === undefined || entry.unitCost === "" ? line.unitCost : Number(entry.unitCost);
+    if (!Number.isFinite(unitCost) || unitCost < 0) throw httpError(400, `The cost of ${line.name} must be 0 or more`);
+
+    const movement = {
+      quantity,
+      unitCost,
+      user,
+      reason: reference ? `${this.poNumber} (${reference})` : this.poNumber,
+      purchaseOrder: this._id,
+    };
+    if (line.kind === "product") {
+      await StockMovement.apply({ ...movement, product: line.product, variant: line.variant, type: "restock" }, session);
+    } else {
+      await IngredientMovement.apply({ ...movement, ingredient: line.ingredient, type: "purchase" }, session);
+    }
+
+    line.received = roundQuantity(line.received + quantity);
+    received.push({ line: line._id, name: line.name, quantity, unitCost });
+  }
+
+  this.receipts.push({ reference, lines: received, user: user?.id, username: user?.username });
+  const complete = this.lines.every(line => line.received >= line.quantity);
+  this.transitionTo(complete ? "received" : "partial", user, reference, "received");
+  return this.receipts[this.receipts.length - 1];
+};
+
+// Every active item that is bought in, with its stock and reorder level:
+// products and sizes that keep their own stock (items with a recipe are made
+// to order) and ingredients
+const stockedItems = async () => {
+  const [products, ingredients] = await Promise.all([
+    Product.find({ isActive: { $ne: false } }, "name stock cost lastCost reorderLevel variants recipe").sort({ name: 1 }).lean(),
+    Ingredient.find({ isActive: { $ne: false } }, "name unit onHand cost lastCost reorderLevel").sort({ name: 1 }).lean(),
+  ]);
+
+  return [
+    ...products.flatMap(product => {
+      if (product.recipe?.length) return [];
+      const variants = (product.variants || []).filter(v => v.isActive !== false);
+      return variants.length
+        ? variants.filter(v => !v.recipe?.length).map(v => ({
+          kind: "product", product: product._id, variant: v._id, name: `${product.name} (${v.name})`, unit: "pc",
+          onHand: v.stock || 0, reorderLevel: v.reorderLevel || 0, cost: v.cost || 0, lastCost: v.lastCost || 0,
+        }))
+        : [{
+          kind: "product", product: product._id, name: product.name, unit: "pc",
+          onHand: product.stock || 0, reorderLevel: product.reorderLevel || 0, cost: product.cost || 0, lastCost: product.lastCost || 0,
+        }];
+    }),
+    ...ingredients.map(ingredient => ({
+      kind: "ingredient", ingredient: ingredient._id, name: ingredient.name, unit: ingredient.unit,
+      onHand: ingredient.onHand, reorderLevel: ingredient.reorderLevel || 0, cost: ingredient.cost || 0, lastCost: ingredient.lastCost || 0,
+    })),
+  ];
+};
+
+// Items at or below their reorder level, furthest below first
+purchaseOrderSchema.statics.lowStock = async function() {
+  return (await stockedItems())
+    .filter(item => item.onHand <= item.reorderLevel)
+    .sort((a, b) => (a.onHand - a.reorderLevel) - (b.onHand - b.reorderLevel) || a.name.localeCompare(b.name));
+};
+
+// Everything bought in, each with how fast it sold over the last `days` and
+// how much to order. An item needs enough to last `coverDays` at that pace
+// and still be at its reorder level; what is already on outstanding orders
+// counts.
+purchaseOrderSchema.statics.reorderList = async function({ days = 28, coverDays = 14 } = {}) {
+  days = Number(days);
+  coverDays = Number(coverDays);
+  if (!Number.isInteger(days) || days < 1 || days > 365) throw httpError(400, "Sales days must be a whole number from 1 to 365");
+  if (!Number.isInteger(coverDays) || coverDays < 0 || coverDays > 180) throw httpError(400, "Cover days must be a whole number from 0 to 180");
+
+  const since = addDays(new Date(), -days);
+  const soldSince = { createdAt: { $gte: since }, type: { $in: ["sale", "void", "refund"] } };
+  const key = (id, variant) => `${id}:${variant || ""}`;
+
+  const [items, productSales, ingredientSales, outstanding, lastSuppliers] = await Promise.all([
+    stockedItems(),
+    StockMovement.aggregate([
+      { $match: soldSince },
+      { $group: { _id: { product: "$product", variant: "$variant" }, quantity: { $sum: "$quantity" } } }
+    ]),
+    IngredientMovement.aggregate([
+      { $match: soldSince },
+      { $group: { _id: { ingredient: "$ingredient" }, quantity: { $sum: "$quantity" } } }
+    ]),
+    this.find({ status: { $in: OUTSTANDING_PURCHASE_ORDER_STATUSES } }, "lines").lean(),
+    this.aggregate([
+      { $match: { status: { $ne: "cancelled" } } },
+      { $sort: { createdAt: -1 } },
+      { $unwind: "$lines" },
+      { $group: {
+        _id: { item: { $ifNull: ["$lines.product", "$lines.ingredient"] }, variant: "$lines.variant" },
+        supplier: { $first: "$supplier" },
+        supplierName: { $first: "$supplierName" }
+      } }
+    ]),
+  ]);
+
+  const sold = new Map([
+    ...productSales.map(({ _id, quantity }) => [key(_id.product, _id.variant), -quantity]),
+    ...ingredientSales.map(({ _id, quantity }) => [key(_id.ingredient), -quantity]),
+  ]);
+  const onOrder = new Map();
+  outstanding.flatMap(order => order.lines).forEach(line => {
+    const lineKey = key(line.product || line.ingredient, line.variant);
+    onOrder.set(lineKey, (onOrder.get(lineKey) || 0) + Math.max(0, line.quantity - line.received));
+  });
+  const suppliers = new Map(lastSuppliers.map(({ _id, supplier, supplierName }) => [key(_id.item, _id.variant), { supplier, supplierName }]));
+
+  return {
+    days,
+    coverDays,
+    items: items
+      .map(item => {
+        const itemKey = key(item.product || item.ingredient, item.variant);
+        const velocity = roundQuantity(Math.max(0, sold.get(itemKey) || 0) / days);
+        const ordered = roundQuantity(onOrder.get(itemKey) || 0);
+        const short = item.reorderLevel + velocity * coverDays - item.onHand - ordered;
+        const suggested = short <= 0 ? 0 : item.kind === "product" ? Math.ceil(short) : Math.ceil(short * 1000) / 1000;
+
+        return {
+          ...item,
+          low: item.onHand <= item.reorderLevel,
+          velocity,
+          daysLeft: velocity ? Math.round(item.onHand / velocity * 10) / 10 : null,
+          onOrder: ordered,
+          suggested,
+          ...(suppliers.get(itemKey) || { supplier: null, supplierName: null }),
+        };
+      })
+      .sort((a, b) => (b.suggested > 0) - (a.suggested > 0) || a.name.localeCompare(b.name)),
+  };
+};
+
+export const PurchaseOrder = mongoose.models.PurchaseOrder || mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+
+const shiftSchema = new mongoose.Schema(
+  {
+    cashier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cashierName: String,
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+    },
+    openingFloat: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // The till the shift is rung up on, and its grand total when the shift opened
+    terminal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Terminal",
+    },
+    terminalCode: String,
+    openingGrandTotal: Number,
+    // Petty cash put into or taken out of the drawer during the shift
+    cashEvents: [
+      {
+        kind: {
+          type: String,
+          enum: ["cash-in", "cash-out"],
+          required: true,
+        },
+        amount: Number,
+        reason: String,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        username: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      }
+    ],
+    closedAt: Date,
+    countedCash: Number,
+    expectedCash: Number,
+    overShort: Number,
+    // Z-reading as it stood when the shift was closed
+    zReading: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+// One cashier can only have one open shift at a time, and one terminal
+// only one cashier
+shiftSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: "open" } });
+shiftSchema.index({ terminal: 1 }, { unique: true, partialFilterExpression: { status: "open" } });
+
+// Totals for the shift worked out from its orders. Tax and item figures come
+// from the lines still active, so partial voids and refunds are exact. Voids
+// and refunds are assumed to go back out of the drawer in the same mix of
+// tenders the order was paid with.
+shiftSchema.methods.buildReading = async function(kind = "X") {
+  const orders = await Order.find({ shift: this._id }).lean();
+
+  const add = (a, b) => roundMoney(a + (b || 0));
+  const reading = {
+    kind,
+    shift: this._id,
+    cashier: this.cashierName,
+    openedAt: this.openedAt,
+    closedAt: this.closedAt,
+    generatedAt: new Date(),
+    orderCount: orders.length,
+    voidedOrders: 0,
+    refundedOrders: 0,
+    itemsSold: 0,
+    grossSales: 0,
+    vatAdjustment: 0,
+    discounts: { senior: 0, pwd: 0, manual: 0, total: 0 },
+    voids: 0,
+    refunds: 0,
+    serviceCharge: 0,
+    netSales: 0,
+    vatableSales: 0,
+    vat: 0,
+    vatExemptSales: 0,
+    zeroRatedSales: 0,
+    tenders: Object.fromEntries(PAYMENT_METHODS.map(method => [method, 0])),
+    cash: {
+      openingFloat: this.openingFloat,
+      cashSales: 0,
+      cashIn: 0,
+      cashOut: 0,
+      cashReturned: 0,
+      expected: 0,
+    },
+  };
+
+  orders.forEach(order => {
+    if (order.status === "voided") reading.voidedOrders++;
+    if (order.status === "refunded") reading.refundedOrders++;
+
+    reading.grossSales = add(reading.grossSales, order.subtotal);
+    reading.vatAdjustment = add(reading.vatAdjustment, order.vatAdjustment);
+    reading.voids = add(reading.voids, order.voidedAmount);
+    reading.refunds = add(reading.refunds, order.refundedAmount);
+    reading.serviceCharge = add(reading.serviceCharge, order.serviceCharge);
+
+    (order.discounts || []).forEach(discount => {
+      const key = STATUTORY_DISCOUNTS.includes(discount.kind) ? discount.kind : "manual";
+      reading.discounts[key] = add(reading.discounts[key], discount.amount);
+      reading.discounts.total = add(reading.discounts.total, discount.amount);
+    });
+
+    order.items
+      .filter(item => item.status === "active")
+      .forEach(item => {
+        const exempt = item.taxExempt || item.taxClass === "exempt";
+        const zeroRated = !item.taxExempt && item.taxClass === "zero-rated";
+        const due = item.amountDue ?? (item.lineTotal - (item.discountAmount || 0) + (item.tax || 0));
+
+        reading.itemsSold += item.quantity;
+        reading.vatableSales = add(reading.vatableSales, item.taxableAmount);
+        reading.vat = add(reading.vat, item.tax);
+        if (exempt) reading.vatExemptSales = add(reading.vatExemptSales, due);
+        if (zeroRated) reading.zeroRatedSales = add(reading.zeroRatedSales, due);
+      });
+
+    let cashPaid = 0;
+    (order.payments || []).forEach(payment => {
+      reading.tenders[payment.method] = add(reading.tenders[payment.method], payment.amount);
+      if (payment.method === "cash") cashPaid = add(cashPaid, payment.amount);
+    });
+
+    const returned = (order.voidedAmount || 0) + (order.refundedAmount || 0);
+    reading.cash.cashSales = add(reading.cash.cashSales, cashPaid);
+    if (returned && order.total) {
+      reading.cash.cashReturned = add(reading.cash.cashReturned, returned * cashPaid / order.total);
+    }
+  });
+
+  (this.cashEvents || []).forEach(event => {
+    const key = event.kind === "cash-in" ? "cashIn" : "cashOut";
+    reading.cash[key] = add(reading.cash[key], event.amount);
+  });
+
+  // Receipt range and grand totals for the terminal's books. The ending
+  // grand total is the terminal's running figure, which never resets.
+  if (this.terminal) {
+    const numbers = orders.map(order => order.receiptNo).filter(Number.isInteger);
+    const terminal = await Terminal.findById(this.terminal, "code grandTotal zCounter").lean();
+    reading.terminal = {
+      code: this.terminalCode,
+      zCounter: terminal?.zCounter || 0,
+      firstReceipt: numbers.length ? formatReceiptNumber(this.terminalCode, Math.min(...numbers)) : null,
+      lastReceipt: numbers.length ? formatReceiptNumber(this.terminalCode, Math.max(...numbers)) : null,
+      beginningGrandTotal: this.openingGrandTotal || 0,
+      endingGrandTotal: terminal?.grandTotal || 0,
     };
   }
-  
-  const uniqueProducts = stats.topProducts.length;
-  
+
+  reading.netSales = roundMoney(orders.reduce((sum, order) => sum + (order.total || 0), 0) - reading.voids - reading.refunds);
+  reading.cash.expected = roundMoney(
+    reading.cash.openingFloat + reading.cash.cashSales + reading.cash.cashIn -
+    reading.cash.cashOut - reading.cash.cashReturned
+  );
+
+  if (this.status === "closed") {
+    reading.cash.counted = this.countedCash;
+    reading.cash.overShort = this.overShort;
+  }
+
+  return reading;
+};
+
+// Counts the drawer, works out over/short and keeps the Z-reading
+// Run it in a transaction with the Z-reading's journal entry, so a Z counter
+// is only ever used up by a stored reading. The shift is claimed in the
+// database first, so of two closes racing each other one fails and rolls
+// back before it takes a counter.
+shiftSchema.methods.close = async function(countedCash, user, session) {
+  const claimed = await this.constructor.updateOne({ _id: this._id, status: "open" }, { $set: { status: "closed" } }, { session });
+  if (!claimed.modifiedCount) {
+    throw httpError(409, "This shift is already closed");
+  }
+
+  const reading = await this.buildReading("Z");
+  if (this.terminal) {
+    const terminal = await Terminal.findByIdAndUpdate(this.terminal, { $inc: { zCounter: 1 } }, { new: true, session });
+    reading.terminal.zCounter = terminal.zCounter;
+  }
+
+  this.status = "closed";
+  this.closedAt = new Date();
+  this.countedCash = roundMoney(countedCash);
+  this.expectedCash = reading.cash.expected;
+  this.overShort = roundMoney(this.countedCash - this.expectedCash);
+
+  reading.closedAt = this.closedAt;
+  reading.closedBy = user?.username;
+  reading.cash.counted = this.countedCash;
+  reading.cash.overShort = this.overShort;
+  this.zReading = reading;
+
+  return this.save({ session });
+};
+
+const READING_TOTALS = [
+  "orderCount", "voidedOrders", "refundedOrders", "itemsSold",
+  "grossSales", "vatAdjustment", "voids", "refunds", "serviceCharge", "netSales",
+  "vatableSales", "vat", "vatExemptSales", "zeroRatedSales",
+];
+
+const READING_COUNTS = ["orderCount", "voidedOrders", "refundedOrders", "itemsSold"];
+
+const emptyReadingTotals = () => ({
+  zReadings: 0,
+  ...Object.fromEntries(READING_TOTALS.map(field => [field, 0])),
+  discounts: { senior: 0, pwd: 0, manual: 0, total: 0 },
+  tenders: Object.fromEntries(PAYMENT_METHODS.map(method => [method, 0])),
+  overShort: 0,
+});
+
+// Adds one Z-reading, or a period's totals, into `totals`
+const addReading = (totals, reading) => {
+  totals.zReadings += reading.zReadings ?? 1;
+  READING_TOTALS.forEach(field => {
+    totals[field] = READING_COUNTS.includes(field)
+      ? totals[field] + (reading[field] || 0)
+      : roundMoney(totals[field] + (reading[field] || 0));
+  });
+  Object.keys(totals.discounts).forEach(kind => {
+    totals.discounts[kind] = roundMoney(totals.discounts[kind] + (reading.discounts?.[kind] || 0));
+  });
+  Object.entries(reading.tenders || {}).forEach(([method, amount]) => {
+    totals.tenders[method] = roundMoney((totals.tenders[method] || 0) + (amount || 0));
+  });
+  totals.overShort = roundMoney(totals.overShort + (reading.cash?.overShort ?? reading.overShort ?? 0));
+};
+
+const BUSINESS_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseBusinessDate = (value, field) => {
+  if (!BUSINESS_DATE_PATTERN.test(value)) throw httpError(400, `${field} must be a date like 2024-01-31`);
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getDate() !== day) throw httpError(400, `${field} must be a date like 2024-01-31`);
+  return date;
+};
+
+// The Z-readings of shifts closed from `from` to `to` (business days,
+// inclusive; this month so far by default) added up per day or per month.
+// The figures are the stored readings themselves, so each period matches
+// the Z-readings printed for it to the centavo.
+shiftSchema.statics.summarizeReadings = async function({ from, to, period = "day" } = {}) {
+  if (!["day", "month"].includes(period)) throw httpError(400, "Period must be day or month");
+
+  const today = startOfDay(new Date());
+  const start = from ? parseBusinessDate(from, "from") : new Date(today.getFullYear(), today.getMonth(), 1);
+  const end = addDays(to ? parseBusinessDate(to, "to") : today, 1);
+  if (start >= end) throw httpError(400, "Invalid date range");
+  if (end - start > MAX_STATS_DAYS * 24 * 60 * 60 * 1000) {
+    throw httpError(400, `Date range cannot exceed ${MAX_STATS_DAYS} days`);
+  }
+
+  const shifts = await this.find(
+    { status: "closed", closedAt: { $gte: start, $lt: end }, zReading: { $exists: true } },
+    "zReading closedAt terminalCode"
+  ).sort({ closedAt: 1 }).lean();
+
+  const periods = new Map();
+
+  shifts.forEach(({ zReading: reading, closedAt, terminalCode }) => {
+    const key = period === "day" ? businessDate(closedAt) : businessDate(closedAt).slice(0, 7);
+    const row = periods.get(key) || { period: key, ...emptyReadingTotals(), terminals: {} };
+    addReading(row, reading);
+
+    // Grand totals run from the first reading's beginning to the last one's end
+    if (reading.terminal) {
+      const code = reading.terminal.code || terminalCode;
+      const terminal = row.terminals[code] || {
+        code,
+        beginningGrandTotal: reading.terminal.beginningGrandTotal,
+        firstReceipt: reading.terminal.firstReceipt,
+      };
+      terminal.endingGrandTotal = reading.terminal.endingGrandTotal;
+      terminal.lastReceipt = reading.terminal.lastReceipt || terminal.lastReceipt;
+      terminal.firstReceipt = terminal.firstReceipt || reading.terminal.firstReceipt;
+      terminal.lastZCounter = reading.terminal.zCounter;
+      row.terminals[code] = terminal;
+    }
+
+    periods.set(key, row);
+  });
+
+  const rows = [...periods.values()].map(row => ({ ...row, terminals: Object.values(row.terminals) }));
+  const totals = emptyReadingTotals();
+  rows.forEach(row => addReading(totals, row));
+
+  return { from: businessDate(start), to: businessDate(addDays(end, -1)), period, rows, totals };
+};
+
+export const Shift = mongoose.models.Shift || mongoose.model("Shift", shiftSchema);
+
+// A till that gives out its own gapless run of receipt numbers and keeps an
+// accumulated grand total of everything sold on it
+const terminalSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{1,6}$/, "Terminal code must be 1 to 6 letters or digits"],
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Last receipt number given out; never reused or reset
+    lastReceiptNo: {
+      type: Number,
+      default: 0,
+    },
+    // Every sale rung up on the terminal, before voids and refunds; never reset
+    grandTotal: {
+      type: Number,
+      default: 0,
+    },
+    // Z-readings taken on the terminal
+    zCounter: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+terminalSchema.post("save", function(error, doc, next) {
+  if (error.code === 11000) return next(httpError(409, "That terminal code is already taken"));
+  if (error.name === "ValidationError") return next(httpError(400, Object.values(error.errors)[0].message));
+  next(error);
+});
+
+const formatReceiptNumber = (code, receiptNo) => `${code}-${String(receiptNo).padStart(8, "0")}`;
+
+// Takes the terminal's next receipt number and adds the sale to its grand
+// total. Run it in the same transaction as the order save: an aborted sale
+// hands its number back, so the run has no gaps.
+terminalSchema.statics.issueReceipt = async function(terminalId, amount, session) {
+  const terminal = await this.findOneAndUpdate(
+    { _id: terminalId, isActive: { $ne: false } },
+    [{
+      $set: {
+        lastReceiptNo: { $add: ["$lastReceiptNo", 1] },
+        grandTotal: { $round: [{ $add: ["$grandTotal", amount] }, 2] },
+      },
+    }],
+    { new: true, session, updatePipeline: true }
+  );
+  if (!terminal) {
+    throw httpError(409, "This terminal has been deactivated; close the shift and open one on another terminal");
+  }
+
   return {
-    totalOrders: stats.totalOrders,
-    totalProducts: uniqueProducts,
-    totalStocks: stats.itemsSold,
-    ordersToday: stats.ordersToday,
-    itemsSoldToday: stats.itemsSoldToday,
-    dineInToday: stats.dineInOrders,
-    takeoutToday: stats.takeoutOrders,
-    categoryStats: stats.categoryStats,
-    hourlyStats: stats.hourlyStats,
-    topProducts: stats.topProducts
+    terminal,
+    receiptNo: terminal.lastReceiptNo,
+    receiptNumber: formatReceiptNumber(terminal.code, terminal.lastReceiptNo),
   };
 };
 
-export const Stats = mongoose.models.Stats || mongoose.model("Stats", StatsSchema);
\ No newline at end of file
+export const Terminal = mongoose.models.Terminal || mongoose.model("Terminal", terminalSchema);
+
+// Dining tables on the floor plan, placed on a grid per area. A table is free
+// while no open check points at it.
+const MAX_FLOOR_CELL = 19;
+
+const tableSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Table name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [20, "Table names can be at most 20 characters"],
+      match: [/^[\w .#-]+$/, "Table names can only use letters, digits, spaces and . # -"],
+    },
+    area: {
+      type: String,
+      trim: true,
+      default: "Main",
+    },
+    seats: {
+      type: Number,
+      min: [1, "A table needs at least 1 seat"],
+      max: [50, "A table can have at most 50 seats"],
+      default: 4,
+    },
+    // Column and row on the area's floor plan, from the top left
+    x: {
+      type: Number,
+      min: [0, "Column must be between 0 and " + MAX_FLOOR_CELL],
+      max: [MAX_FLOOR_CELL, "Column must be between 0 and " + MAX_FLOOR_CELL],
+      default: 0,
+    },
+    y: {
+      type: Number,
+      min: [0, "Row must be between 0 and " + MAX_FLOOR_CELL],
+      max: [MAX_FLOOR_CELL, "Row must be between 0 and " + MAX_FLOOR_CELL],
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+tableSchema.post("save", function(error, doc, next) {
+  if (error.code === 11000) return next(httpError(409, "That table name is already taken"));
+  if (error.name === "ValidationError") return next(httpError(400, Object.values(error.errors)[0].message));
+  next(error);
+});
+
+export const Table = mongoose.models.Table || mongoose.model("Table", tableSchema);
+
+// Carts put aside at the till to be finished later, on this terminal or
+// another. The cart is kept as the till had it so recalling puts back exactly
+// what was parked; nothing is sold until it is recalled and paid.
+const MAX_PARKED_LINES = 100;
+
+const parkedOrderSchema = new mongoose.Schema(
+  {
+    // Customer name or buzzer number
+    label: {
+      type: String,
+      required: [true, "A name or buzzer number is required to park an order"],
+      trim: true,
+      maxlength: [40, "The label can be at most 40 characters"],
+    },
+    orderType: {
+      type: String,
+      enum: ["Dine In", "Take Out"],
+    },
+    cart: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    itemCount: Number,
+    // Menu prices when it was parked, before discounts
+    total: Number,
+    terminal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Terminal",
+    },
+    parkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    parkedByName: String,
+    // Removed by MongoDB once this passes; unset when parking never expires
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+parkedOrderSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+parkedOrderSchema.post("save", function(error, doc, next) {
+  if (error.name === "ValidationError") return next(httpError(400, Object.values(error.errors)[0].message));
+  next(error);
+});
+
+// `items` are the cart's lines as sent for a sale, priced here for the list
+parkedOrderSchema.statics.park = async function({ label, orderType, cart, items }, user, terminal) {
+  if (!cart || !Array.isArray(cart.items) || !cart.items.length) {
+    throw httpError(400, "There is nothing in the cart to park");
+  }
+  if (cart.items.length > MAX_PARKED_LINES || !Array.isArray(items) || items.length !== cart.items.length) {
+    throw httpError(400, "The cart doesn't match its items");
+  }
+
+  const [priced, settings] = await Promise.all([Order.priceItems(items, [], { type: orderType }), Settings.getSettings()]);
+  const { expireAfterMinutes } = settings.parking;
+
+  return this.create({
+    label,
+    orderType: orderType || undefined,
+    cart: {
+      items: cart.items,
+      discounts: Array.isArray(cart.discounts) ? cart.discounts : [],
+      customer: cart.customer && typeof cart.customer === "object" ? cart.customer : undefined
+    },
+    itemCount: priced.items.reduce((sum, item) => sum + item.quantity, 0),
+    total: priced.total,
+    terminal,
+    parkedBy: user.id,
+    parkedByName: user.username,
+    expiresAt: expireAfterMinutes ? new Date(Date.now() + expireAfterMinutes * 60000) : undefined
+  });
+};
+
+// Takes the parked order off the list for one till; a second till recalling
+// it at the same time gets a 404
+parkedOrderSchema.statics.recall = async function(id) {
+  const parked = await this.findOneAndDelete({
+    _id: id,
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }]
+  }).lean();
+  if (!parked) throw httpError(404, "That order was already recalled or has expired");
+  return parked;
+};
+
+export const ParkedOrder = mongoose.models.ParkedOrder || mongoose.model("ParkedOrder", parkedOrderSchema);
+
+// Customer directory, keyed by phone number, with the loyalty points balance
+// and running totals of every visit
+const customerSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: [true, "Phone number is required"],
+      unique: true,
+      match: [/^\d{7,15}$/, "Phone number must be 7 to 15 digits"],
+    },
+    name: {
+      type: String,
+      required: [true, "Customer name is required"],
+      trim: true,
+      maxlength: [60, "Customer names can be at most 60 characters"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, "Email can be at most 100 characters"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Notes can be at most 200 characters"],
+    },
+    points: {
+      type: Number,
+      default: 0,
+    },
+    lifetimePoints: {
+      type: Number,
+      default: 0,
+    },
+    visits: {
+      type: Number,
+      default: 0,
+    },
+    totalSpent: {
+      type: Number,
+      default: 0,
+    },
+    lastVisitAt: Date,
+  },
+  { timestamps: true }
+);
+
+customerSchema.index({ name: 1 });
+
+// Digits only, with +63 numbers written the local way (09...)
+customerSchema.statics.normalizePhone = function(value) {
+  const digits = String(value ?? "").replace(/\D/g, "");
+  return digits.length === 12 && digits.startsWith("63") ? `0${digits.slice(2)}` : digits;
+};
+
+customerSchema.pre("validate", function() {
+  if (this.isModified("phone")) this.phone = this.constructor.normalizePhone(this.phone);
+});
+
+customerSchema.post("save", function(error, doc, next) {
+  if (error.code === 11000) return next(httpError(409, "A customer with that phone number already exists"));
+  if (error.name === "ValidationError") return next(httpError(400, Object.values(error.errors)[0].message));
+  next(error);
+});
+
+// Books a sale's points: takes the points it was paid with, adds the points
+// it earned and counts the visit, all or nothing with the sale in `session`.
+// Fills in the order's customer and loyalty before it is saved.
+customerSchema.statics.applySale = async function(order, settings, session) {
+  const pointsPaid = roundMoney(order.payments
+    .filter(payment => payment.method === "points")
+    .reduce((sum, payment) => sum + payment.amount, 0));
+
+  if (!order.customer?.account) {
+    if (pointsPaid) throw httpError(400, "Choose the customer whose points pay for this order");
+    return null;
+  }
+
+  const { enabled, pesosPerPoint, pointValue } = settings.loyalty;
+  if (pointsPaid && !enabled) throw httpError(400, "The points program is turned off");
+
+  const redeemed = roundMoney(pointsPaid / pointValue);
+  if (!Number.isInteger(redeemed)) {
+    throw httpError(400, `Points pay in steps of ${pointValue.toFixed(2)}`);
+  }
+  const earned = enabled ? Math.floor(roundMoney(order.total - pointsPaid) / pesosPerPoint) : 0;
+
+  const customer = await this.findOneAndUpdate(
+    { _id: order.customer.account, points: { $gte: redeemed } },
+    {
+      $inc: { points: earned - redeemed, lifetimePoints: earned, visits: 1, totalSpent: order.total },
+      $set: { lastVisitAt: new Date() }
+    },
+    { new: true, session }
+  );
+  if (!customer) {
+    const exists = await this.exists({ _id: order.customer.account }).session(session);
+    throw exists
+      ? httpError(409, "The customer doesn't have enough points for that")
+      : httpError(400, "Unknown customer");
+  }
+
+  order.customer.name = customer.name;
+  order.customer.phone = customer.phone;
+  if (enabled || redeemed) {
+    order.loyalty = { earned, redeemed, balance: customer.points, pesosPerPoint, pointValue, reversed: 0, returned: false };
+  }
+  return customer;
+};
+
+// After a void or refund of `amount`: takes back the points earned on what
+// was reversed and, once the whole sale is reversed, gives back the points it
+// was paid with. A balance already spent stops at 0.
+customerSchema.statics.applyReversal = async function(order, amount, session) {
+  if (!order.customer?.account) return;
+
+  const loyalty = order.loyalty;
+  let change = 0;
+  let takeBack = 0;
+
+  if (loyalty?.earned || loyalty?.redeemed) {
+    const pointsPaid = roundMoney((loyalty.redeemed || 0) * loyalty.pointValue);
+    const stillPaid = roundMoney(order.total - (order.voidedAmount || 0) - (order.refundedAmount || 0) - pointsPaid);
+    const kept = Math.min(loyalty.earned, Math.floor(Math.max(0, stillPaid) / loyalty.pesosPerPoint));
+    takeBack = Math.max(0, loyalty.earned - kept - (loyalty.reversed || 0));
+    change -= takeBack;
+    loyalty.reversed = (loyalty.reversed || 0) + takeBack;
+
+    if (["voided", "refunded"].includes(order.status) && loyalty.redeemed && !loyalty.returned) {
+      change += loyalty.redeemed;
+      loyalty.returned = true;
+    }
+  }
+
+  await this.updateOne({ _id: order.customer.account }, [{
+    $set: {
+      points: { $max: [0, { $add: ["$points", change] }] },
+      lifetimePoints: { $max: [0, { $subtract: ["$lifetimePoints", takeBack] }] },
+      totalSpent: { $max: [0, { $subtract: ["$totalSpent", amount] }] }
+    }
+  }], { session });
+};
+
+export const Customer = mongoose.models.Customer || mongoose.model("Customer", customerSchema);
+
+// Electronic journal: a copy of every receipt issued, voided and reprinted,
+// plus each Z-reading, filed by business day. Entries are never changed.
+const JOURNAL_KINDS = ["sale", "void", "refund", "reprint", "z-reading"];
+
+const journalEntrySchema = new mongoose.Schema({
+  // Local calendar day, YYYY-MM-DD
+  businessDate: {
+    type: String,
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  kind: {
+    type: String,
+    enum: JOURNAL_KINDS,
+    required: true,
+  },
+  terminal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Terminal",
+  },
+  terminalCode: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Shift",
+  },
+  receiptNumber: String,
+  amount: Number,
+  // The terminal's accumulated grand total once this entry was made
+  grandTotal: Number,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  username: String,
+  // The slip as printed, in plain text
+  text: String,
+}, { versionKey: false });
+
+journalEntrySchema.index({ businessDate: 1, terminalCode: 1, at: 1 });
+
+// { kind, terminal, order, shift, receiptNumber, amount, user, text }. The
+// grand total is read from the terminal, inside the caller's session when
+// there is one.
+journalEntrySchema.statics.record = async function({ terminal, user, at = new Date(), ...entry }, session) {
+  const till = terminal && await Terminal.findById(terminal, "code grandTotal").session(session || null).lean();
+
+  const [saved] = await this.create([{
+    ...entry,
+    at,
+    businessDate: businessDate(at),
+    terminal: till?._id,
+    terminalCode: till?.code,
+    grandTotal: till?.grandTotal,
+    user: user?.id,
+    username: user?.username,
+  }], { session });
+  return saved;
+};
+
+const refuseJournalChange = function() {
+  throw httpError(409, "Journal entries can't be changed or removed");
+};
+["updateOne", "updateMany", "findOneAndUpdate", "findOneAndReplace", "replaceOne",
+  "deleteOne", "deleteMany", "findOneAndDelete"].forEach(op => journalEntrySchema.pre(op, refuseJournalChange));
+journalEntrySchema.pre("save", function() {
+  if (!this.isNew) refuseJournalChange();
+});
+
+export const JournalEntry = mongoose.models.JournalEntry || mongoose.model("JournalEntry", journalEntrySchema);
+
+// Append-only record of who did what. Each entry carries the hash of the one
+// before it, so deleting or editing an entry breaks the chain from there on.
+// Dropping the newest entries only shows against an exported copy of the head.
+const AUDIT_GENESIS = "0".repeat(64);
+
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  at: {
+    type: Date,
+    required: true,
+  },
+  actor: {
+    id: String,
+    username: String,
+    role: String,
+  },
+  ip: String,
+  action: {
+    type: String,
+    required: true,
+  },
+  target: {
+    kind: String,
+    id: String,
+    label: String,
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  prevHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+// Empty objects in before/after are kept: they are part of what was hashed
+}, { versionKey: false, minimize: false });
+
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ action: 1, at: -1 });
+auditLogSchema.index({ "actor.username": 1, at: -1 });
+
+// JSON with sorted keys so the same entry always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashAuditEntry = (entry) => crypto.createHash("sha256").update(canonicalJson({
+  seq: entry.seq,
+  at: new Date(entry.at).toISOString(),
+  actor: entry.actor || null,
+  ip: entry.ip || null,
+  action: entry.action,
+  target: entry.target || null,
+  before: entry.before ?? null,
+  after: entry.after ?? null,
+  prevHash: entry.prevHash,
+})).digest("hex");
+
+// Stored exactly as hashed: dates and IDs become strings, undefined goes away
+const plainValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const AUDIT_APPEND_RETRIES = 5;
+
+// { actor, ip, action, target, before, after }. Concurrent appends race for
+// the next seq; the loser retries on top of the winner.
+auditLogSchema.statics.record = async function({ actor, ip, action, target, before, after }) {
+  for (let attempt = 0; attempt < AUDIT_APPEND_RETRIES; attempt++) {
+    const last = await this.findOne({}, "seq hash").sort({ seq: -1 }).lean();
+    const entry = {
+      seq: last ? last.seq + 1 : 1,
+      at: new Date(),
+      actor: actor ? { id: actor.id ? String(actor.id) : null, username: actor.username || null, role: actor.role || null } : null,
+      ip: ip || null,
+      action,
+      target: target
+        ? { kind: target.kind || null, id: target.id ? String(target.id) : null, label: target.label ?? null }
+        : null,
+      before: plainValue(before),
+      after: plainValue(after),
+      prevHash: last ? last.hash : AUDIT_GENESIS,
+    };
+    entry.hash = hashAuditEntry(entry);
+
+    try {
+      return await this.create(entry);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw httpError(503, "Could not append to the audit log; try again");
+};
+
+// Walks the whole chain and reports entries that are missing, edited or
+// re-linked. `head` is the newest entry's seq and hash for comparing with
+// an earlier export.
+auditLogSchema.statics.verify = async function() {
+  const problems = [];
+  let expectedSeq = 1;
+  let prevHash = AUDIT_GENESIS;
+  let checked = 0;
+  let head = null;
+
+  for await (const entry of this.find().sort({ seq: 1 }).lean().cursor()) {
+    if (entry.seq !== expectedSeq) {
+      problems.push({
+        seq: expectedSeq,
+        problem: entry.seq - 1 === expectedSeq
+          ? `Entry ${expectedSeq} is missing`
+          : `Entries ${expectedSeq}-${entry.seq - 1} are missing`
+      });
+    } else if (entry.prevHash !== prevHash) {
+      problems.push({ seq: entry.seq, problem: "Does not link to the entry before it" });
+    }
+    if (hashAuditEntry(entry) !== entry.hash) {
+      problems.push({ seq: entry.seq, problem: "Contents were changed after it was written" });
+    }
+
+    expectedSeq = entry.seq + 1;
+    prevHash = entry.hash;
+    head = { seq: entry.seq, hash: entry.hash };
+    checked++;
+  }
+
+  return { ok: problems.length === 0, checked, head, problems };
+};
+
+// Entries are never edited or removed through the app
+const refuseChange = function() {
+  throw httpError(409, "Audit entries can't be changed or removed");
+};
+["updateOne", "updateMany", "findOneAndUpdate", "findOneAndReplace", "replaceOne",
+  "deleteOne", "deleteMany", "findOneAndDelete"].forEach(op => auditLogSchema.pre(op, refuseChange));
+auditLogSchema.pre("save", function() {
+  if (!this.isNew) refuseChange();
+});
+
+export const AuditLog = mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,15 @@
+// A cell with a comma, quote or line break is quoted
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvRow = (values) => values.map(csvCell).join(",");
+
+// Sends `rows` (arrays of cells) under `header` as a download
+export const sendCsv = (res, filename, header, rows) => {
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.type("text/csv");
+  res.send([header, ...rows].map(csvRow).join("\n") + "\n");
+};
@@ -0,0 +1,382 @@
+import sharp from "sharp";
+
+import { imageFile } from "../middleware/imageupload.js";
+
+// Thermal paper widths in mm: characters per line in the printer's default
+// font, and printable dots for the logo
+export const PAPER_WIDTHS = {
+  58: { columns: 32, dots: 384 },
+  80: { columns: 48, dots: 576 },
+};
+
+const DISCOUNT_LABELS = { senior: "Senior Citizen", pwd: "PWD", percent: "Discount", fixed: "Discount" };
+const TENDER_LABELS = { cash: "Cash", gcash: "GCash", maya: "Maya", card: "Card", points: "Points" };
+
+const describeDiscount = (discount) => {
+  const label = DISCOUNT_LABELS[discount.kind] || "Discount";
+  if (discount.kind === "percent") return `${discount.value}% ${label}`;
+  if (discount.customerName) return `${label} (${discount.customerName})`;
+  return label;
+};
+
+const describeTax = (order) => {
+  if (order.taxRate === undefined || order.taxRate === null) return "VAT";
+  return `VAT ${Math.round(order.taxRate * 100)}%${order.pricesIncludeTax ? " (incl.)" : ""}`;
+};
+
+export const formatMoney = (amount) => Number(amount || 0).toLocaleString("en-PH", {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+// The customer's name and the end of their phone number, e.g. "Ana (...4567)"
+const describeMember = (customer) => `${customer.name} (...${String(customer.phone).slice(-4)})`;
+
+const formatDate = (date) => new Date(date).toLocaleString("en-PH", {
+  year: "numeric",
+  month: "short",
+  day: "numeric",
+  hour: "2-digit",
+  minute: "2-digit",
+  hour12: true,
+});
+
+// Everything a receipt shows, worked out once from the saved order so the
+// HTML, text and ESC/POS versions always agree. `width` is the paper in mm
+// and defaults to the store's setting. `bill` is an open check's bill before
+// payment, with `shares` when it is split evenly.
+export const buildReceipt = (order, settings, { width, reprint = false, printedAt = new Date(), bill = false, shares = [] } = {}) => {
+  const store = settings.receipt;
+  const paperWidth = PAPER_WIDTHS[width] ? Number(width) : store.paperWidth;
+
+  const totals = [{ label: "Subtotal", amount: order.subtotal }];
+  if (order.vatAdjustment) totals.push({ label: "Less VAT (SC/PWD)", amount: -order.vatAdjustment });
+  (order.discounts || []).forEach(discount => totals.push({
+    label: `${describeDiscount(discount)}${discount.idNumber ? ` ID#${discount.idNumber}` : ""}`,
+    amount: -discount.amount,
+  }));
+  if (order.serviceCharge) totals.push({ label: "Service Charge", amount: order.serviceCharge });
+  if (!order.pricesIncludeTax) totals.push({ label: describeTax(order), amount: order.tax });
+
+  const reversals = [];
+  if (order.voidedAmount) reversals.push({ label: "Voided", amount: -order.voidedAmount });
+  if (order.refundedAmount) reversals.push({ label: "Refunded", amount: -order.refundedAmount });
+
+  return {
+    paperWidth,
+    columns: PAPER_WIDTHS[paperWidth].columns,
+    logo: store.logo || null,
+    storeName: store.storeName,
+    headerLines: store.headerLines.filter(Boolean),
+    tin: store.tin,
+    footerLines: store.footerLines.filter(Boolean),
+    reprint,
+    bill,
+    shares: shares.length > 1 ? shares : [],
+    printedAt: formatDate(printedAt),
+    orderId: String(order._id),
+    orderNumber: String(order._id).slice(-4).toUpperCase(),
+    receiptNumber: order.receiptNumber || null,
+    type: order.type,
+    table: order.tableName || null,
+    date: formatDate(bill ? printedAt : order.createdAt),
+    // Whoever rang up the sale, or took payment for an open check
+    cashier: order.history?.find(entry =>
+      entry.action === "created" || (entry.action === "status" && entry.status === "paid")
+    )?.username || null,
+    items: order.items.map(item => ({
+      name: `${item.name}${item.size ? ` (${item.size})` : ""}`,
+      quantity: item.quantity,
+      price: item.price,
+      amount: item.lineTotal,
+      modifiers: (item.modifiers || []).map(modifier => ({ name: modifier.name, price: modifier.price || 0 })),
+      overridden: typeof item.priceOverride?.listPrice === "number",
+      status: item.status || "active",
+    })),
+    totals,
+    total: order.total,
+    payments: (order.payments || []).map(payment => ({
+      label: `${TENDER_LABELS[payment.method] || payment.method}${payment.reference ? ` #${payment.reference}` : ""}`,
+      amount: payment.tendered || payment.amount,
+    })),
+    change: order.change || 0,
+    vat: [
+      { label: "VATable Sales", amount: order.vatableSales || 0 },
+      { label: describeTax(order), amount: order.tax || 0 },
+      { label: "VAT-Exempt Sales", amount: order.vatExemptSales || 0 },
+      { label: "Zero-Rated Sales", amount: order.zeroRatedSales || 0 },
+    ],
+    reversals,
+    // Points the sale earned and used, and the balance right after it
+    loyalty: !bill && order.customer?.account && order.loyalty?.balance !== undefined ? {
+      member: describeMember(order.customer),
+      earned: order.loyalty.earned || 0,
+      redeemed: order.loyalty.redeemed || 0,
+      balance: order.loyalty.balance,
+    } : null,
+  };
+};
+
+// Breaks text on spaces into lines of at most `width` characters; words
+// longer than a line are cut
+const wrap = (text, width) => {
+  const lines = [];
+  let line = "";
+
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (line) lines.push(line);
+      line = "";
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!word) return;
+
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= width) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+
+  return lines.length ? lines : [""];
+};
+
+// Label on the left, value flush right on the first line
+const valueRow = (label, value, columns) => {
+  const [first, ...rest] = wrap(label, columns - value.length - 1);
+  return [`${first.padEnd(columns - value.length)}${value}`, ...rest];
+};
+
+const amountRow = (label, amount, columns) => valueRow(label, formatMoney(amount), columns);
+
+// The receipt as printer lines: { text, align, bold, size }. "double" text
+// is twice as wide, so it is wrapped at half the columns; "tall" only
+// doubles the height.
+const receiptLines = (receipt) => {
+  const { columns } = receipt;
+  const lines = [];
+
+  const center = (text, style = {}) => wrap(text, style.size === "double" ? columns / 2 : columns)
+    .forEach(line => lines.push({ text: line, align: "center", ...style }));
+  const indented = (text) => wrap(text, columns - 3).forEach(line => lines.push({ text: `   ${line}` }));
+  const row = (label, amount, style = {}) => amountRow(label, amount, columns)
+    .forEach(line => lines.push({ text: line, ...style }));
+  const count = (label, value) => valueRow(label, String(value), columns)
+    .forEach(line => lines.push({ text: line }));
+  const rule = () => lines.push({ text: "-".repeat(columns) });
+
+  center(receipt.storeName, { bold: true, size: "double" });
+  receipt.headerLines.forEach(line => center(line));
+  if (receipt.tin) center(`TIN: ${receipt.tin}`);
+  rule();
+
+  if (receipt.reprint) center("** REPRINT **", { bold: true, size: "double" });
+  center(receipt.bill ? "BILL" : "ORDER RECEIPT", { bold: true });
+  if (receipt.receiptNumber) center(`Receipt No. ${receipt.receiptNumber}`, { bold: true });
+  center(`Order #${receipt.orderNumber}  ${receipt.type || ""}`);
+  if (receipt.table) center(`Table ${receipt.table}`);
+  center(receipt.date);
+  if (receipt.cashier) center(`Cashier: ${receipt.cashier}`);
+  rule();
+
+  receipt.items.forEach(item => {
+    row(`${item.quantity}x ${item.name}`, item.amount);
+    if (item.quantity > 1) indented(`@ ${formatMoney(item.price)}`);
+    item.modifiers.forEach(modifier =>
+      indented(`+ ${modifier.name}${modifier.price ? ` (${formatMoney(modifier.price)})` : ""}`)
+    );
+    if (item.overridden) indented("Price override");
+    if (item.status !== "active") indented(`** ${item.status.toUpperCase()} **`);
+  });
+  rule();
+
+  receipt.totals.forEach(total => row(total.label, total.amount));
+  row("TOTAL", receipt.total, { bold: true, size: "tall" });
+  if (receipt.bill) {
+    receipt.shares.forEach((share, index) => row(`Guest ${index + 1} of ${receipt.shares.length}`, share));
+  } else {
+    receipt.payments.forEach(payment => row(payment.label, payment.amount));
+    row("Change", receipt.change);
+  }
+
+  if (receipt.reversals.length) {
+    rule();
+    receipt.reversals.forEach(reversal => row(reversal.label, reversal.amount));
+  }
+  rule();
+
+  receipt.vat.forEach(line => row(line.label, line.amount));
+  rule();
+
+  if (receipt.loyalty) {
+    center(`Member: ${receipt.loyalty.member}`);
+    if (receipt.loyalty.redeemed) count("Points used", receipt.loyalty.redeemed);
+    count("Points earned", receipt.loyalty.earned);
+    count("Points balance", receipt.loyalty.balance);
+    rule();
+  }
+
+  if (receipt.bill) center("THIS IS NOT AN OFFICIAL RECEIPT", { bold: true });
+  receipt.footerLines.forEach(line => center(line));
+  if (receipt.reprint) center(`Reprinted ${receipt.printedAt}`);
+  center(`Order ID ${receipt.orderId}`);
+
+  return lines;
+};
+
+// Plain text at the paper's column width
+export const receiptText = (receipt) => receiptLines(receipt)
+  .map(line => {
+    if (line.align !== "center") return line.text;
+    return `${" ".repeat(Math.floor((receipt.columns - line.text.length) / 2))}${line.text}`;
+  })
+  .join("\n") + "\n";
+
+const slipLines = (columns) => {
+  const lines = [];
+  return {
+    lines,
+    center: (text) => wrap(text, columns).forEach(line =>
+      lines.push(`${" ".repeat(Math.floor((columns - line.length) / 2))}${line}`)),
+    text: (text) => lines.push(...wrap(text, columns)),
+    row: (label, amount) => lines.push(...amountRow(label, amount, columns)),
+    rule: () => lines.push("-".repeat(columns)),
+  };
+};
+
+// Journal copy of a void or refund. `lines` are the reversed order lines.
+export const reversalText = (order, lines, { type, amount, reason, username, approvedBy, paperWidth = 80 }) => {
+  const slip = slipLines(PAPER_WIDTHS[paperWidth].columns);
+
+  slip.center(type === "void" ? "** VOID **" : "** REFUND **");
+  slip.center(`Receipt No. ${order.receiptNumber || String(order._id).slice(-4).toUpperCase()}`);
+  slip.center(formatDate(new Date()));
+  slip.rule();
+  lines.forEach(line => slip.row(
+    `${line.quantity}x ${line.name}${line.size ? ` (${line.size})` : ""}`,
+    -order.lineCharge(line)
+  ));
+  slip.rule();
+  slip.row("TOTAL", -amount);
+  slip.text(`Reason: ${reason}`);
+  slip.text(`By: ${username}${approvedBy ? `, approved by ${approvedBy}` : ""}`);
+
+  return slip.lines.join("\n") + "\n";
+};
+
+// Journal copy of a Z-reading
+export const readingText = (reading, { paperWidth = 80 } = {}) => {
+  const slip = slipLines(PAPER_WIDTHS[paperWidth].columns);
+  const terminal = reading.terminal;
+
+  slip.center(`${reading.kind}-READING${terminal ? ` #${terminal.zCounter}  ${terminal.code}` : ""}`);
+  slip.center(`Cashier: ${reading.cashier}`);
+  slip.center(`${formatDate(reading.openedAt)} - ${formatDate(reading.closedAt || reading.generatedAt)}`);
+  slip.rule();
+  if (terminal) {
+    slip.text(`Receipts: ${terminal.firstReceipt || "-"} to ${terminal.lastReceipt || "-"}`);
+  }
+  slip.text(`Orders: ${reading.orderCount}`);
+  slip.row("Gross Sales", reading.grossSales);
+  slip.row("Discounts", -reading.discounts.total);
+  slip.row("Less VAT (SC/PWD)", -reading.vatAdjustment);
+  slip.row("Service Charge", reading.serviceCharge);
+  slip.row("Voids", -reading.voids);
+  slip.row("Refunds", -reading.refunds);
+  slip.row("Net Sales", reading.netSales);
+  slip.row("VATable Sales", reading.vatableSales);
+  slip.row("VAT", reading.vat);
+  slip.row("VAT-Exempt Sales", reading.vatExemptSales);
+  slip.row("Zero-Rated Sales", reading.zeroRatedSales);
+  slip.rule();
+  if (terminal) {
+    slip.row("Beginning Grand Total", terminal.beginningGrandTotal);
+    slip.row("Ending Grand Total", terminal.endingGrandTotal);
+  }
+  slip.row("Expected Cash", reading.cash.expected);
+  if (reading.cash.counted !== undefined) {
+    slip.row("Counted Cash", reading.cash.counted);
+    slip.row(reading.cash.overShort < 0 ? "Short" : "Over", reading.cash.overShort);
+  }
+
+  return slip.lines.join("\n") + "\n";
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const ESCPOS = {
+  init: [ESC, 0x40],
+  align: { left: [ESC, 0x61, 0], center: [ESC, 0x61, 1] },
+  bold: { on: [ESC, 0x45, 1], off: [ESC, 0x45, 0] },
+  size: { normal: [GS, 0x21, 0x00], tall: [GS, 0x21, 0x01], double: [GS, 0x21, 0x11] },
+  // Feed past the tear bar, then a partial cut
+  cut: [GS, 0x56, 0x42, 0x03],
+};
+
+// Thermal printers only have the basic character set; accents are dropped
+// and anything else becomes "?"
+const toPrinterText = (text) => text
+  .normalize("NFD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .replace(/\u20b1/g, "P")
+  .replace(/[^\x20-\x7e]/g, "?");
+
+// The logo as a GS v 0 raster image: one bit per dot, dark pixels printed
+const rasterLogo = async (logo, dots) => {
+  const { data, info } = await sharp(imageFile(logo))
+    .resize({ width: dots, withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const bytesPerRow = Math.ceil(info.width / 8);
+  const bits = Buffer.alloc(bytesPerRow * info.height);
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * info.channels] < 128) {
+        bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([GS, 0x76, 0x30, 0, bytesPerRow & 0xff, bytesPerRow >> 8, info.height & 0xff, info.height >> 8]),
+    bits,
+  ]);
+};
+
+// Raw bytes to send straight to a thermal printer. A logo that can't be
+// read is left off rather than holding up the receipt.
+export const receiptEscPos = async (receipt) => {
+  const chunks = [Buffer.from(ESCPOS.init)];
+
+  if (receipt.logo) {
+    try {
+      const logo = await rasterLogo(receipt.logo, PAPER_WIDTHS[receipt.paperWidth].dots);
+      chunks.push(Buffer.from(ESCPOS.align.center), logo, Buffer.from("\n"));
+    } catch (error) {
+      console.error("Receipt logo error:", error);
+    }
+  }
+
+  receiptLines(receipt).forEach(line => {
+    chunks.push(
+      Buffer.from([
+        ...ESCPOS.align[line.align || "left"],
+        ...(line.bold ? ESCPOS.bold.on : ESCPOS.bold.off),
+        ...ESCPOS.size[line.size || "normal"],
+      ]),
+      Buffer.from(`${toPrinterText(line.text)}\n`, "ascii")
+    );
+  });
+
+  chunks.push(Buffer.from([...ESCPOS.size.normal, ...ESCPOS.bold.off, ...ESCPOS.align.left, ...ESCPOS.cut]));
+  return Buffer.concat(chunks);
+};
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+
+import { Customer, JournalEntry, Settings, Shift, StockMovement, Terminal } from "../config/database.js";
+import { can, readApproval, spendApproval, APPROVAL_ACTIONS } from "../middleware/auth.js";
+import { audit } from "../middleware/audit.js";
+import { buildReceipt, receiptText } from "./receipt.js";
+import { emitOrderUpdate } from "../sockets/kitchensocket.js";
+import { emitDashboardUpdate } from "../sockets/dashboardsocket.js";
+
+// Taking payment, shared by counter sales and open checks
+
+const MANUAL_DISCOUNTS = ["percent", "fixed"];
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Users with the permission approve their own; anyone else needs an
+// approval token from POST /api/orders/approvals for this very discount or
+// line. Token approvals are added to `approvals` for the caller to spend
+// once what they approve is saved; quotes just leave them unspent.
+const approverFor = (user, action, approvalToken, target, message, approvals) => {
+  if (can(user, APPROVAL_ACTIONS[action])) return user;
+
+  const approval = readApproval(approvalToken, action, target);
+  if (!approval) {
+    const error = new Error(message);
+    error.status = 403;
+    throw error;
+  }
+  approvals?.push(approval);
+  return approval;
+};
+
+// Stamps who approved each manual discount
+export const approveDiscounts = (discounts, user, approvals) => {
+  if (!Array.isArray(discounts)) return [];
+
+  return discounts.map(discount => {
+    const { approvalToken, approvedBy, approvedByName, ...rest } = discount || {};
+    if (!MANUAL_DISCOUNTS.includes(rest.kind)) return rest;
+
+    const approver = approverFor(user, "discount", approvalToken, rest, "Manual discounts need manager approval", approvals);
+    return { ...rest, approvedBy: approver.id, approvedByName: approver.username };
+  });
+};
+
+// Stamps who approved each line sold at other than its menu price
+export const approvePriceOverrides = (items, user, approvals) => {
+  if (!Array.isArray(items)) return items;
+
+  return items.map(item => {
+    const { approvalToken, overrideApprovedBy, overrideApprovedByName, ...rest } = item || {};
+    if (rest.overridePrice === undefined || rest.overridePrice === null) return rest;
+
+    const approver = approverFor(user, "price-override", approvalToken, rest, "Price overrides need manager approval", approvals);
+    return { ...rest, overrideApprovedBy: approver.id, overrideApprovedByName: approver.username };
+  });
+};
+
+// Spends every approval behind a change in the transaction that saves it
+export const spendApprovals = async (approvals, session) => {
+  for (const approval of approvals || []) await spendApproval(approval, session);
+};
+
+// Every sale lands on the cashier's open shift for the X/Z readings
+export const saleShift = async (user) => {
+  const shift = await Shift.findOne({ cashier: user.id, status: "open" }, "_id terminal").lean();
+  if (!shift) throw conflict("Open a shift before taking orders");
+  if (!shift.terminal) throw conflict("This shift isn't on a terminal; close it and open a new one");
+  return shift;
+};
+
+// Body's { id } for a customer in the directory (their name and phone are
+// filled in when the sale is booked), otherwise a walk-in's name and phone
+export const saleCustomer = (customer) => {
+  if (customer?.id !== undefined) {
+    if (!mongoose.isValidObjectId(customer.id)) {
+      const error = new Error("Invalid customer ID");
+      error.status = 400;
+      throw error;
+    }
+    return { account: customer.id };
+  }
+  return { name: customer?.name || "Guest", phone: customer?.phone || "N/A" };
+};
+
+export const orderTarget = (order) => ({
+  kind: "order",
+  id: order._id,
+  label: order.receiptNumber || String(order._id).slice(-4).toUpperCase()
+});
+
+// The sale itself, plus a separate entry for each discount and price
+// override so they can be filtered on their own
+const auditNewOrder = async (req, order) => {
+  const target = orderTarget(order);
+
+  await audit(req, "order.created", {
+    target,
+    after: {
+      total: order.total,
+      items: order.items.map(item => ({ name: item.name, size: item.size, quantity: item.quantity, price: item.price })),
+      payments: order.payments.map(payment => ({ method: payment.method, amount: payment.amount })),
+      queuedAt: order.queuedAt,
+      table: order.tableName,
+      customer: order.customer?.account ? order.customer.phone : undefined,
+      points: order.loyalty?.redeemed ? { redeemed: order.loyalty.redeemed, earned: order.loyalty.earned } : undefined
+    }
+  });
+
+  for (const discount of order.discounts) {
+    await audit(req, "order.discount", {
+      target,
+      after: {
+        kind: discount.kind,
+        value: discount.value,
+        amount: discount.amount,
+        idNumber: discount.idNumber,
+        reason: discount.reason,
+        approvedBy: discount.approvedByName
+      }
+    });
+  }
+
+  for (const item of order.items.filter(item => item.priceOverride?.listPrice !== undefined)) {
+    await audit(req, "order.price_override", {
+      target,
+      before: { name: item.name, price: item.priceOverride.listPrice },
+      after: { name: item.name, price: item.price, approvedBy: item.priceOverride.approvedByName }
+    });
+  }
+};
+
+// Books a priced and settled order on the shift: deducts stock, books the
+// customer's points, takes the receipt number and saves the order together
+// so none of it happens alone and no receipt number is skipped, then
+// journals, audits and tells the kitchen. `event` is "order:updated" for a
+// check the kitchen already has; `approvals` are the manager approvals
+// behind its discounts and price overrides, spent with the sale.
+export const bookSale = async (req, order, shift, { event = "order:new", approvals = [] } = {}) => {
+  const settings = await Settings.getSettings();
+  order.shift = shift._id;
+
+  const savedOrder = await mongoose.connection.transaction(async (session) => {
+    await spendApprovals(approvals, session);
+    await StockMovement.applyOrder(order, "sale", req.user, session);
+    await Customer.applySale(order, settings, session);
+
+    const issued = await Terminal.issueReceipt(shift.terminal, order.total, session);
+    order.terminal = issued.terminal._id;
+    order.receiptNo = issued.receiptNo;
+    order.receiptNumber = issued.receiptNumber;
+    const saved = await order.save({ session });
+
+    await JournalEntry.record({
+      kind: "sale",
+      terminal: shift.terminal,
+      order: saved._id,
+      shift: shift._id,
+      receiptNumber: saved.receiptNumber,
+      amount: saved.total,
+      user: req.user,
+      text: receiptText(buildReceipt(saved, settings))
+    }, session);
+    return saved;
+  });
+  await auditNewOrder(req, savedOrder);
+
+  emitOrderUpdate(req.app.get("io"), savedOrder, event);
+  emitDashboardUpdate(req.app.get("io"));
+  return savedOrder;
+};
@@ -0,0 +1,22 @@
+import { AuditLog } from "../config/database.js";
+
+// Records what the request's user did. A failed write is logged rather than
+// failing the action it describes. Pass `actor` when nobody is signed in yet.
+export const audit = async (req, action, { actor, target, before, after } = {}) => {
+  try {
+    await AuditLog.record({ actor: actor || req.user, ip: req.ip, action, target, before, after });
+  } catch (error) {
+    console.error(`Audit error (${action}):`, error);
+  }
+};
+
+// Only the fields that actually changed, as { before, after }
+export const changes = (previous, current, fields) => {
+  const changed = fields.filter(field =>
+    JSON.stringify(previous?.[field] ?? null) !== JSON.stringify(current?.[field] ?? null)
+  );
+  return {
+    before: Object.fromEntries(changed.map(field => [field, previous?.[field] ?? null])),
+    after: Object.fromEntries(changed.map(field => [field, current?.[field] ?? null]))
+  };
+};
@@ -0,0 +1,213 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+import { UsedApproval, User } from "../config/database.js";
+
+// What each role may do. Anyone signed in can read the menu, categories,
+// brands, settings and a single order.
+export const PERMISSIONS = {
+  "users:manage": ["admin"],
+  "audit:view": ["admin"],
+  "catalog:manage": ["admin"],
+  "settings:manage": ["admin"],
+  "terminals:manage": ["admin"],
+  "tables:manage": ["admin"],
+  "journal:view": ["admin"],
+  "stock:manage": ["admin", "manager"],
+  "customers:manage": ["admin", "manager"],
+  "stats:view": ["admin", "manager"],
+  "orders:list": ["admin", "manager"],
+  "orders:create": ["admin", "manager", "cashier"],
+  "orders:progress": ["admin", "manager", "cashier", "kitchen"],
+  "orders:discount": ["admin", "manager"],
+  "orders:override-price": ["admin", "manager"],
+  "orders:void": ["admin", "manager"],
+  "orders:refund": ["admin", "manager"],
+  "receipts:print": ["admin", "manager", "cashier"],
+  "shifts:work": ["admin", "manager", "cashier"],
+  "shifts:review": ["admin", "manager"],
+  "kitchen:view": ["admin", "manager", "cashier", "kitchen"],
+};
+
+// Actions a manager can approve on the spot, and the permission that lets
+// a user skip the approval
+export const APPROVAL_ACTIONS = {
+  discount: "orders:discount",
+  "price-override": "orders:override-price",
+  void: "orders:void",
+  refund: "orders:refund",
+};
+
+export const can = (user, permission) => (PERMISSIONS[permission] || []).includes(user?.role);
+
+export const permissionsFor = (role) =>
+  Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+
+// Where each role lands after signing in
+export const homePage = (user) => {
+  if (can(user, "stats:view")) return "/admindashboard";
+  if (can(user, "orders:create")) return "/staffdashboard";
+  return "/kitchen";
+};
+
+// The account is read from the database on every request so a role change,
+// deactivation or password reset takes effect straight away, not when the
+// token expires
+export const authenticate = async (token) => {
+  if (!token) return null;
+
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(payload.id, "username role isActive mustChangePassword passwordChangedAt").lean();
+  if (!user || user.isActive === false) return null;
+  if (user.passwordChangedAt && payload.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) return null;
+
+  return {
+    id: String(user._id),
+    username: user.username,
+    role: user.role,
+    mustChangePassword: Boolean(user.mustChangePassword)
+  };
+};
+
+export const signIn = (res, user) => {
+  const token = jwt.sign(
+    { id: user._id, username: user.username, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: "365d" }
+  );
+  res.cookie("token", token, { httpOnly: true, sameSite: "strict", maxAge: 1000*60*60*24*365 });
+};
+
+// Failed PIN sign-ins and approvals are also counted per terminal, so one
+// till can't work through the PINs of account after account
+const MAX_TERMINAL_ATTEMPTS = 5;
+const TERMINAL_LOCKOUT_MS = 1000 * 60 * 15;
+const terminalAttempts = new Map();
+
+// This request's terminal while it is locked out ({ lockedUntil }), else null
+export const terminalLock = (req) => {
+  const attempts = terminalAttempts.get(req.ip);
+  return attempts?.lockedUntil > Date.now() ? attempts : null;
+};
+
+// Returns true when this failure locks the terminal
+export const recordTerminalFailure = (req) => {
+  const attempts = terminalAttempts.get(req.ip);
+  const failed = (attempts?.lockedUntil ? 0 : attempts?.failed || 0) + 1;
+  const locked = failed >= MAX_TERMINAL_ATTEMPTS;
+  terminalAttempts.set(req.ip, locked ? { failed: 0, lockedUntil: Date.now() + TERMINAL_LOCKOUT_MS } : { failed });
+  return locked;
+};
+
+export const clearTerminalFailures = (req) => terminalAttempts.delete(req.ip);
+
+// For a locked account or terminal
+export const lockedMessage = (locked) =>
+  `Too many failed attempts. Try again in ${Math.ceil((locked.lockedUntil - Date.now()) / 60000)} minute(s).`;
+
+const isApi = (req) => req.originalUrl.startsWith("/api/");
+
+// Until a temporary password is replaced, this is the only page allowed
+export const CHANGE_PASSWORD_PAGE = "/change-password";
+
+export const verifyToken = async (req, res, next) => {
+  try {
+    req.user = await authenticate(req.cookies.token);
+  } catch (err) {
+    console.error("Token verification failed:", err);
+  }
+
+  if (req.user?.mustChangePassword && req.originalUrl.split("?")[0] !== CHANGE_PASSWORD_PAGE) {
+    if (isApi(req)) {
+      return res.status(403).json({ success: false, message: "Change your password before continuing" });
+    }
+    return res.redirect(CHANGE_PASSWORD_PAGE);
+  }
+  if (req.user) return next();
+
+  res.clearCookie("token");
+  if (isApi(req)) {
+    return res.status(401).json({ success: false, message: "Please sign in again" });
+  }
+  res.redirect("/login");
+};
+
+// API routes answer 403. Pass `override` to also accept a manager's
+// approval token for that action on the order in the URL, sent in the body
+// as `approvalToken`; the approver is then on `req.approval`, and the handler
+// spends it with spendApproval.
+export const requirePermission = (permission, { override } = {}) => (req, res, next) => {
+  if (can(req.user, permission)) return next();
+
+  if (override) {
+    const approval = readApproval(req.body?.approvalToken, override, { order: req.params.id });
+    if (approval) {
+      req.approval = approval;
+      return next();
+    }
+    return res.status(403).json({ success: false, message: "This needs a manager's approval" });
+  }
+  res.status(403).json({ success: false, message: "You don't have permission to do that" });
+};
+
+// Pages send users without the permission to their own home page
+export const requirePage = (permission) => (req, res, next) => {
+  if (can(req.user, permission)) return next();
+  res.redirect(homePage(req.user));
+};
+
+// Approvals are signed with their own secret so one can never pass as a login
+const approvalSecret = () => `${process.env.JWT_SECRET}:approval`;
+
+// What an approval is for, down to the fields it is checked on: the order
+// voided or refunded, the discount's kind and value, or the product and unit
+// price of an override. Null when `target` doesn't name one.
+const orderTarget = (target) =>
+  (mongoose.isValidObjectId(target?.order) ? { order: String(target.order) } : null);
+
+const APPROVAL_TARGETS = {
+  discount: (target) => {
+    const value = Number(target?.value);
+    return target?.kind && Number.isFinite(value) ? { kind: String(target.kind), value } : null;
+  },
+  "price-override": (target) => {
+    const price = Number(target?.overridePrice ?? target?.price);
+    return mongoose.isValidObjectId(target?.product) && Number.isFinite(price)
+      ? { product: String(target.product), price }
+      : null;
+  },
+  void: orderTarget,
+  refund: orderTarget,
+};
+
+export const approvalTarget = (action, target) => APPROVAL_TARGETS[action]?.(target) || null;
+
+// Each approval is for one thing and can be acted on once (see spendApproval)
+export const issueApproval = (approver, action, target) => jwt.sign(
+  { id: approver._id, username: approver.username, action, target, jti: crypto.randomUUID() },
+  approvalSecret(),
+  { expiresIn: "10m" }
+);
+
+// Returns the approver for a still-valid approval of `action` on `target`,
+// otherwise null. Reading an approval doesn't use it up.
+export const readApproval = (token, action, target) => {
+  try {
+    const approval = jwt.verify(token, approvalSecret());
+    const expected = approvalTarget(action, target);
+    return approval.action === action && expected && JSON.stringify(approval.target) === JSON.stringify(expected)
+      ? approval
+      : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Uses up an approval from readApproval, in the same transaction as what it
+// approved. A second use is refused. Users approving their own actions have
+// nothing to spend.
+export const spendApproval = async (approval, session) => {
+  if (!approval?.jti) return;
+  await UsedApproval.spend(approval.jti, new Date(approval.exp * 1000), session);
+};
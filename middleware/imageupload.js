@@ -0,0 +1,132 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import multer from "multer";
+import sharp from "sharp";
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const ALLOWED_FORMATS = ["jpeg", "png", "webp"];
+
+// Uploads live under images/products, served at /images/products
+const UPLOAD_DIR = "products";
+const LOGO_DIR = "receipts";
+const IMAGES_ROOT = path.join(process.cwd(), "images");
+
+// Sizes for the staff menu grid and for the full product view
+const THUMBNAIL_SIZE = 300;
+const LARGE_SIZE = 1200;
+
+// Receipt logos fit the printable width of 80mm paper (576 dots)
+const LOGO_WIDTH = 576;
+const LOGO_HEIGHT = 288;
+
+export const FALLBACK_IMAGE = "/placeholder-food.svg";
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const format = file.mimetype.replace("image/", "").replace("jpg", "jpeg");
+    if (!file.mimetype.startsWith("image/") || !ALLOWED_FORMATS.includes(format)) {
+      return cb(new Error("Only JPEG, PNG or WebP images can be uploaded"));
+    }
+    cb(null, true);
+  },
+});
+
+// Takes a single `image` field; upload errors are answered as JSON
+export const uploadImage = (req, res, next) => {
+  upload.single("image")(req, res, (err) => {
+    if (!err) return next();
+
+    const tooLarge = err.code === "LIMIT_FILE_SIZE";
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      message: tooLarge ? `Images must be ${MAX_IMAGE_BYTES / 1024 / 1024} MB or smaller` : err.message,
+    });
+  });
+};
+
+// Public URL for a stored image path, or the fallback when there is none
+export const imageUrl = (image) => image ? `/images/${image}` : FALLBACK_IMAGE;
+
+// Absolute path of a stored image, for reading it back on the server
+export const imageFile = (image) => path.join(IMAGES_ROOT, image);
+
+// The mimetype is only what the browser claimed; check the bytes too
+const checkImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    metadata = null;
+  }
+  if (!metadata || !ALLOWED_FORMATS.includes(metadata.format)) {
+    const error = new Error("The file is not a valid JPEG, PNG or WebP image");
+    error.status = 400;
+    throw error;
+  }
+};
+
+const contentHash = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 16);
+
+// Resizes an upload into a thumbnail and a large WebP named after the
+// content hash, so the same picture is only ever stored once. Returns the
+// paths relative to images/.
+export const storeProductImage = async (buffer) => {
+  await checkImage(buffer);
+
+  const hash = contentHash(buffer);
+  const image = `${UPLOAD_DIR}/${hash}.webp`;
+  const thumbnail = `${UPLOAD_DIR}/${hash}-thumb.webp`;
+
+  await fs.mkdir(path.join(IMAGES_ROOT, UPLOAD_DIR), { recursive: true });
+  await Promise.all([
+    sharp(buffer)
+      .rotate()
+      .resize(LARGE_SIZE, LARGE_SIZE, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toFile(path.join(IMAGES_ROOT, image)),
+    sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+      .webp({ quality: 80 })
+      .toFile(path.join(IMAGES_ROOT, thumbnail)),
+  ]);
+
+  return { image, thumbnail };
+};
+
+// Receipt logos are kept as black-on-white PNGs so thermal printers can
+// print them as-is. Returns the path relative to images/.
+export const storeReceiptLogo = async (buffer) => {
+  await checkImage(buffer);
+
+  const logo = `${LOGO_DIR}/${contentHash(buffer)}.png`;
+
+  await fs.mkdir(path.join(IMAGES_ROOT, LOGO_DIR), { recursive: true });
+  await sharp(buffer)
+    .rotate()
+    .resize(LOGO_WIDTH, LOGO_HEIGHT, { fit: "inside", withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .png()
+    .toFile(path.join(IMAGES_ROOT, logo));
+
+  return logo;
+};
+
+// Deletes uploaded files. Bundled images outside the upload folders are never touched.
+const removeUploads = async (dir, paths) => {
+  const uploads = paths.filter(file => file && file.startsWith(`${dir}/`) && !file.includes(".."));
+
+  await Promise.all(uploads.map(file =>
+    fs.unlink(path.join(IMAGES_ROOT, file)).catch(err => {
+      if (err.code !== "ENOENT") console.error("Image cleanup error:", err);
+    })
+  ));
+};
+
+export const removeProductImages = (paths) => removeUploads(UPLOAD_DIR, paths);
+
+export const removeReceiptLogo = (logo) => removeUploads(LOGO_DIR, [logo]);
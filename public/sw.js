@@ -0,0 +1,60 @@
+// Keeps the staff dashboard usable without a connection. The page, the menu
+// and the settings it prices with are fetched fresh when the server answers
+// and served from the cache when it doesn't; stylesheets and images come
+// from the cache and are refreshed behind it. Sales themselves are queued by
+// the page, not here.
+const CACHE = 'pos-offline-v2';
+
+const PRECACHE = ['/staffdashboard', '/staff.css', '/escape.js', '/logo.png', '/placeholder-food.svg', '/socket.io/socket.io.js'];
+
+// Reads the till needs to take orders offline
+const OFFLINE_READS = ['/staffdashboard', '/api/products', '/api/settings', '/api/shifts/current', '/api/terminals'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE)
+      // One missing file shouldn't stop the rest from being cached
+      .then(cache => Promise.all(PRECACHE.map(url => cache.add(url).catch(() => {}))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Only plain answers are kept; a redirect to the login page is not the dashboard
+const keep = (request, response) => {
+  if (response.ok && !response.redirected) {
+    const copy = response.clone();
+    caches.open(CACHE).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+const networkFirst = request => fetch(request)
+  .then(response => keep(request, response))
+  .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => cached || Response.error()));
+
+const staleWhileRevalidate = request => caches.match(request).then(cached => {
+  const fresh = fetch(request).then(response => keep(request, response));
+  if (!cached) return fresh;
+  fresh.catch(() => {});
+  return cached;
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (OFFLINE_READS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith('/images/') || /\.(css|js|png|jpe?g|webp|svg)$/.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
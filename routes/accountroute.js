@@ -0,0 +1,29 @@
+import express from "express";
+
+import { User } from "../config/database.js";
+import { audit } from "../middleware/audit.js";
+
+const router = express.Router();
+
+// The signed-in user's own account
+
+// Body is { password, pin }; the current password confirms it's really them
+router.put("/pin", async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user || !user.checkPassword(req.body.password)) {
+            return res.status(403).json({ success: false, message: "Password is incorrect" });
+        }
+
+        user.setPin(req.body.pin);
+        await user.save();
+        await audit(req, "account.pin_set", { target: { kind: "user", id: user._id, label: user.username } });
+
+        res.json({ success: true, message: "PIN saved" });
+    } catch (error) {
+        console.error("PIN update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
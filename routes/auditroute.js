@@ -0,0 +1,120 @@
+import express from "express";
+
+import { AuditLog } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { csvRow } from "../lib/csv.js";
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+
+router.use(requirePermission("audit:view"));
+
+// ?from&to (dates), ?action (exact, or a prefix ending in "." like "order."),
+// ?actor (username) and ?target (ID)
+const buildFilter = (query) => {
+    const filter = {};
+
+    if (query.from || query.to) {
+        filter.at = {};
+        if (query.from) filter.at.$gte = new Date(query.from);
+        if (query.to) filter.at.$lte = new Date(query.to);
+        if (Object.values(filter.at).some(date => isNaN(date))) {
+            const error = new Error("from and to must be valid dates");
+            error.status = 400;
+            throw error;
+        }
+    }
+    if (query.action) {
+        const action = String(query.action);
+        filter.action = action.endsWith(".")
+            ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+            : action;
+    }
+    if (query.actor) filter["actor.username"] = String(query.actor);
+    if (query.target) filter["target.id"] = String(query.target);
+
+    return filter;
+};
+
+router.get("/", async (req, res) => {
+    try {
+        const filter = buildFilter(req.query);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter).sort({ seq: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.json({ success: true, entries, total, page, limit });
+    } catch (error) {
+        console.error("Audit fetch error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.get("/verify", async (req, res) => {
+    try {
+        const result = await AuditLog.verify();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error("Audit verify error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+const CSV_COLUMNS = ["seq", "at", "actor", "role", "ip", "action", "targetKind", "targetId", "targetLabel", "before", "after", "prevHash", "hash"];
+
+// before/after go in as JSON
+const jsonCell = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+const toCsvRow = (entry) => csvRow([
+    entry.seq,
+    new Date(entry.at).toISOString(),
+    entry.actor?.username,
+    entry.actor?.role,
+    entry.ip,
+    entry.action,
+    entry.target?.kind,
+    entry.target?.id,
+    entry.target?.label,
+    jsonCell(entry.before),
+    jsonCell(entry.after),
+    entry.prevHash,
+    entry.hash
+]);
+
+// ?format=csv (default) or json, with the same filters as the list. Streams
+// oldest first so the hashes can be checked in order.
+router.get("/export", async (req, res) => {
+    try {
+        const format = req.query.format === "json" ? "json" : "csv";
+        const cursor = AuditLog.find(buildFilter(req.query)).sort({ seq: 1 }).lean().cursor();
+        const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        if (format === "csv") {
+            res.type("text/csv");
+            res.write(csvRow(CSV_COLUMNS) + "\n");
+            for await (const entry of cursor) res.write(toCsvRow(entry) + "\n");
+        } else {
+            res.type("application/json");
+            res.write("[");
+            let first = true;
+            for await (const entry of cursor) {
+                res.write((first ? "\n" : ",\n") + JSON.stringify(entry));
+                first = false;
+            }
+            res.write("\n]\n");
+        }
+        res.end();
+    } catch (error) {
+        console.error("Audit export error:", error);
+        if (res.headersSent) return res.end();
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Brand } from "../config/database.js";
+import { can, requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
+
+const router = express.Router();
+
+const brandTarget = (brand) => ({ kind: "brand", id: brand._id, label: brand.name });
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid brand ID" });
+    }
+    next();
+});
+
+router.get("/", async (req, res) => {
+    try {
+        const includeArchived = can(req.user, "catalog:manage") && req.query.includeArchived === "true";
+        const filter = includeArchived ? {} : { isActive: { $ne: false } };
+
+        const brands = await Brand.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+        res.json({ success: true, brands });
+    } catch (error) {
+        console.error("Brands fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post("/", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        const brand = await Brand.create({ name: req.body.name, sortOrder: await Brand.nextSortOrder() });
+        await audit(req, "brand.created", { target: brandTarget(brand), after: { name: brand.name } });
+        res.status(201).json({ success: true, brand });
+    } catch (error) {
+        console.error("Brand create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.put("/order", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        await Brand.reorder(req.body.ids);
+        res.json({ success: true, message: "Brand order saved" });
+    } catch (error) {
+        console.error("Brand reorder error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        const brand = await Brand.findById(req.params.id);
+        if (!brand) {
+            return res.status(404).json({ success: false, message: "Brand not found" });
+        }
+
+        const previous = { name: brand.name };
+        if (req.body.name !== undefined) brand.name = req.body.name;
+        await brand.save();
+        await audit(req, "brand.updated", { target: brandTarget(brand), ...changes(previous, brand, ["name"]) });
+
+        res.json({ success: true, brand });
+    } catch (error) {
+        console.error("Brand update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+const setActive = (isActive) => async (req, res) => {
+    try {
+        const brand = await Brand.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+        if (!brand) {
+            return res.status(404).json({ success: false, message: "Brand not found" });
+        }
+        await audit(req, isActive ? "brand.restored" : "brand.archived", { target: brandTarget(brand) });
+        res.json({ success: true, brand });
+    } catch (error) {
+        console.error("Brand archive error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/archive", requirePermission("catalog:manage"), setActive(false));
+router.post("/:id/restore", requirePermission("catalog:manage"), setActive(true));
+
+export default router;
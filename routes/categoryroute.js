@@ -1,30 +1,98 @@
 import express from "express";
+import mongoose from "mongoose";
+
+import { Category } from "../config/database.js";
+import { can, requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
 
 const router = express.Router();
 
+const EDITABLE_FIELDS = ["name", "label", "taxClass"];
+
+const categoryTarget = (category) => ({ kind: "category", id: category._id, label: category.name });
 
-let categories = [];
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid category ID" });
+    }
+    next();
+});
 
-router.post("/Create", (req, res) => {
-    const { name } = req.body;
+// Archived categories are only listed for admins who ask for them
+router.get("/", async (req, res) => {
+    try {
+        const includeArchived = can(req.user, "catalog:manage") && req.query.includeArchived === "true";
+        const filter = includeArchived ? {} : { isActive: { $ne: false } };
 
-    if (!name) {
-        return res.status(400).json({ message: "Category name is required" });
+        const categories = await Category.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+        res.json({ success: true, categories });
+    } catch (error) {
+        console.error("Categories fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
     }
+});
 
-    const newCategory = {
-        id: categories.length + 1,
-        name,
-    };
+router.post("/", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
 
-    categories.push(newCategory);
+        const category = await Category.create({ ...fields, sortOrder: await Category.nextSortOrder() });
+        await audit(req, "category.created", { target: categoryTarget(category), after: fields });
+        res.status(201).json({ success: true, category });
+    } catch (error) {
+        console.error("Category create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
 
-    res.status(201).json(newCategory);
+// Body is { ids: [...] } in the new menu order
+router.put("/order", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        await Category.reorder(req.body.ids);
+        res.json({ success: true, message: "Category order saved" });
+    } catch (error) {
+        console.error("Category reorder error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
 });
 
+router.patch("/:id", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+        if (!category) {
+            return res.status(404).json({ success: false, message: "Category not found" });
+        }
+
+        const previous = category.toObject();
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) category[field] = req.body[field];
+        });
+        await category.save();
+        await audit(req, "category.updated", { target: categoryTarget(category), ...changes(previous, category, EDITABLE_FIELDS) });
 
-router.get("/getAll", (req, res) => {
-    res.json(categories);
+        res.json({ success: true, category });
+    } catch (error) {
+        console.error("Category update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
 });
 
+// Archiving hides the category and its products from the menu; orders keep their references
+const setActive = (isActive) => async (req, res) => {
+    try {
+        const category = await Category.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+        if (!category) {
+            return res.status(404).json({ success: false, message: "Category not found" });
+        }
+        await audit(req, isActive ? "category.restored" : "category.archived", { target: categoryTarget(category) });
+        res.json({ success: true, category });
+    } catch (error) {
+        console.error("Category archive error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/archive", requirePermission("catalog:manage"), setActive(false));
+router.post("/:id/restore", requirePermission("catalog:manage"), setActive(true));
+
 export default router;
@@ -0,0 +1,324 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Order, Settings, Table } from "../config/database.js";
+import { can, readApproval, requirePermission } from "../middleware/auth.js";
+import { audit } from "../middleware/audit.js";
+import { emitOrderUpdate } from "../sockets/kitchensocket.js";
+import { PAPER_WIDTHS, buildReceipt, formatMoney } from "../lib/receipt.js";
+import { approveDiscounts, approvePriceOverrides, bookSale, orderTarget, saleCustomer, saleShift, spendApprovals } from "../lib/sale.js";
+
+const router = express.Router();
+
+// Open checks: a table's Dine In order, sent to the kitchen in rounds and
+// paid at the end. Everything here needs a connection to the server.
+
+const MAX_GUESTS = 50;
+const MAX_SPLIT_WAYS = 20;
+
+const fail = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Saves the check and spends the manager approvals behind the change together
+const saveWithApprovals = (check, approvals) => mongoose.connection.transaction(async (session) => {
+    await spendApprovals(approvals, session);
+    await check.save({ session });
+});
+
+// Two tills changed the same check at once; the second has to reload it
+const respondError = (res, context, error) => {
+    if (error.name === "VersionError") {
+        return res.status(409).json({ success: false, message: "Someone else changed this check; reload it and try again" });
+    }
+    console.error(`${context} error:`, error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+const readCount = (value, max, label) => {
+    if (value === undefined || value === null || value === "") return undefined;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > max) {
+        throw fail(400, `${label} must be a whole number from 1 to ${max}`);
+    }
+    return count;
+};
+
+const findCheck = async (id, session = null) => {
+    const check = await Order.findById(id).session(session);
+    if (!check || !check.table) throw fail(404, "Check not found");
+    return check;
+};
+
+const findTable = async (id) => {
+    const table = mongoose.isValidObjectId(id) ? await Table.findOne({ _id: id, isActive: { $ne: false } }) : null;
+    if (!table) throw fail(404, "Table not found");
+    return table;
+};
+
+const toCheck = (check) => ({ ...check.toObject(), shares: check.splitShares() });
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid check ID" });
+    }
+    next();
+});
+
+router.use(requirePermission("orders:create"));
+
+router.get("/:id", async (req, res) => {
+    try {
+        res.json({ success: true, check: toCheck(await findCheck(req.params.id)) });
+    } catch (error) {
+        respondError(res, "Check fetch", error);
+    }
+});
+
+// Body is { table, guests?, items? }; items given here go out as the first round
+router.post("/", async (req, res) => {
+    try {
+        const table = await findTable(req.body.table);
+        const check = new Order({
+            type: "Dine In",
+            table: table._id,
+            tableName: table.name,
+            openedAt: new Date(),
+            guests: readCount(req.body.guests, MAX_GUESTS, "Guests"),
+            status: "open",
+            paymentStatus: "unpaid",
+            history: [{ action: "opened", status: "open", user: req.user.id, username: req.user.username }]
+        });
+
+        const approvals = [];
+        if (Array.isArray(req.body.items) && req.body.items.length) {
+            const priced = await Order.priceItems(approvePriceOverrides(req.body.items, req.user, approvals), [], { type: check.type });
+            check.addRound(priced.items, req.user);
+        }
+        await check.retotal();
+        await saveWithApprovals(check, approvals);
+
+        emitOrderUpdate(req.app.get("io"), check, "order:new");
+        res.status(201).json({ success: true, check: toCheck(check) });
+    } catch (error) {
+        respondError(res, "Check open", error);
+    }
+});
+
+// Body is { items } as for a sale; they go to the kitchen straight away
+router.post("/:id/rounds", async (req, res) => {
+    try {
+        const check = await findCheck(req.params.id);
+        const approvals = [];
+        const priced = await Order.priceItems(approvePriceOverrides(req.body.items, req.user, approvals), [], { type: check.type });
+
+        check.addRound(priced.items, req.user);
+        await check.retotal();
+        await saveWithApprovals(check, approvals);
+
+        emitOrderUpdate(req.app.get("io"), check);
+        res.json({ success: true, check: toCheck(check) });
+    } catch (error) {
+        respondError(res, "Check round", error);
+    }
+});
+
+// Body is { guests?, splitWays? }; splitWays of 2 or more splits the bill evenly
+router.patch("/:id", async (req, res) => {
+    try {
+        const check = await findCheck(req.params.id);
+        if (check.status !== "open") throw fail(409, "This check is no longer open");
+
+        const guests = readCount(req.body.guests, MAX_GUESTS, "Guests");
+        const splitWays = readCount(req.body.splitWays, MAX_SPLIT_WAYS, "Split");
+        if (guests !== undefined) check.guests = guests;
+        if (splitWays !== undefined) check.splitWays = splitWays;
+        await check.save();
+
+        res.json({ success: true, check: toCheck(check) });
+    } catch (error) {
+        respondError(res, "Check update", error);
+    }
+});
+
+router.post("/:id/move", async (req, res) => {
+    try {
+        const [check, table] = await Promise.all([findCheck(req.params.id), findTable(req.body.table)]);
+        check.moveToTable(table, req.user);
+        await check.save();
+
+        emitOrderUpdate(req.app.get("io"), check);
+        res.json({ success: true, check: toCheck(check) });
+    } catch (error) {
+        respondError(res, "Check move", error);
+    }
+});
+
+// Body is { check }: that check's lines move onto this one and it is removed.
+// It was never paid, so nothing else refers to it.
+router.post("/:id/merge", async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.body.check)) throw fail(400, "Choose the check to merge in");
+
+        const { check, other } = await mongoose.connection.transaction(async (session) => {
+            const [check, other] = await Promise.all([findCheck(req.params.id, session), findCheck(req.body.check, session)]);
+            check.mergeCheck(other, req.user);
+            await check.retotal();
+            await check.save({ session });
+            await Order.deleteOne({ _id: other._id, status: "open" }, { session });
+            return { check, other };
+        });
+
+        // The merged check's ticket is empty now, so the kitchen drops it
+        other.items = [];
+        emitOrderUpdate(req.app.get("io"), other);
+        emitOrderUpdate(req.app.get("io"), check);
+        res.json({ success: true, check: toCheck(check) });
+    } catch (error) {
+        respondError(res, "Check merge", error);
+    }
+});
+
+// Body is { lines: [{ itemId, quantity? }] }: those lines move to a new check
+// on the same table, to be paid on their own
+router.post("/:id/split", async (req, res) => {
+    try {
+        const { check, split } = await mongoose.connection.transaction(async (session) => {
+            const check = await findCheck(req.params.id, session);
+            const taken = check.takeLines(req.body.lines);
+
+            const split = new Order({
+                type: check.type,
+                table: check.table,
+                tableName: check.tableName,
+                openedAt: check.openedAt,
+                status: "open",
+                paymentStatus: "unpaid",
+                history: [{
+                    action: "opened",
+                    status: "open",
+                    reason: `Split from check ${String(check._id).slice(-4).toUpperCase()}`,
+                    user: req.user.id,
+                    username: req.user.username
+                }]
+            });
+            split.receiveLines(taken, check.rounds.map(round => round.toObject()));
+
+            await Promise.all([check.retotal(), split.retotal()]);
+            await check.save({ session });
+            await split.save({ session });
+            return { check, split };
+        });
+
+        emitOrderUpdate(req.app.get("io"), check);
+        emitOrderUpdate(req.app.get("io"), split, "order:new");
+        res.status(201).json({ success: true, check: toCheck(check), split: toCheck(split) });
+    } catch (error) {
+        respondError(res, "Check split", error);
+    }
+});
+
+// Prints the bill, with each guest's share when it is split evenly. The
+// table shows as awaiting payment until the check is paid or changed.
+router.post("/:id/bill", async (req, res) => {
+    try {
+        const { width } = req.body;
+        if (width !== undefined && !PAPER_WIDTHS[width]) {
+            throw fail(400, `Paper width must be one of: ${Object.keys(PAPER_WIDTHS).join(", ")}`);
+        }
+
+        const check = await findCheck(req.params.id);
+        if (check.status !== "open") throw fail(409, "This check is no longer open");
+        check.billRequestedAt = new Date();
+        await check.save();
+
+        const receipt = buildReceipt(check, await Settings.getSettings(), { width, bill: true, shares: check.splitShares() });
+        res.render("receipt", { receipt, formatMoney, autoPrint: true });
+    } catch (error) {
+        respondError(res, "Check bill", error);
+    }
+});
+
+// Totals for the tender screen with the discounts given at payment; nothing is saved
+router.post("/:id/quote", async (req, res) => {
+    try {
+        const check = await findCheck(req.params.id);
+        if (check.status !== "open") throw fail(409, "This check is no longer open");
+        await check.retotal(approveDiscounts(req.body.discounts, req.user));
+
+        res.json({ success: true, quote: toCheck(check), shares: check.splitShares() });
+    } catch (error) {
+        respondError(res, "Check quote", error);
+    }
+});
+
+// Body is { payments, discounts?, customer? }, as for a sale. The check is
+// booked on the paying cashier's shift and gets its receipt number now.
+router.post("/:id/pay", async (req, res) => {
+    try {
+        const shift = await saleShift(req.user);
+        const check = await findCheck(req.params.id);
+
+        const approvals = [];
+        await check.retotal(approveDiscounts(req.body.discounts, req.user, approvals));
+        check.closeCheck(req.user);
+        check.customer = saleCustomer(req.body.customer);
+        check.paymentStatus = "paid";
+        check.settlePayments(req.body.payments);
+
+        const savedOrder = await bookSale(req, check, shift, { event: "order:updated", approvals });
+        res.json({
+            success: true,
+            orderId: savedOrder._id,
+            receiptNumber: savedOrder.receiptNumber,
+            order: {
+                total: savedOrder.total,
+                payments: savedOrder.payments,
+                amountPaid: savedOrder.amountPaid,
+                change: savedOrder.change,
+                status: savedOrder.status
+            },
+            message: "Check paid"
+        });
+    } catch (error) {
+        respondError(res, "Check payment", error);
+    }
+});
+
+// Guests who leave without paying. A check with nothing on it is simply
+// removed; otherwise its lines are voided, which needs orders:void or a
+// manager's approval token, as for any other void.
+router.post("/:id/cancel", async (req, res) => {
+    try {
+        const reason = String(req.body.reason || "").trim();
+        if (!reason) throw fail(400, "A reason is required to cancel a check");
+
+        const check = await findCheck(req.params.id);
+        if (check.status !== "open") throw fail(409, "This check is no longer open");
+
+        const total = check.total || 0;
+        if (check.items.length) {
+            if (!can(req.user, "orders:void")) {
+                req.approval = readApproval(req.body.approvalToken, "void", { order: check._id });
+                if (!req.approval) throw fail(403, "This needs a manager's approval");
+            }
+            check.reverseLines("void", [], req.user, reason, req.approval);
+            await saveWithApprovals(check, req.approval ? [req.approval] : []);
+        } else {
+            await Order.deleteOne({ _id: check._id, status: "open" });
+        }
+
+        emitOrderUpdate(req.app.get("io"), check);
+        await audit(req, "check.cancelled", {
+            target: orderTarget(check),
+            after: { table: check.tableName, total, reason, approvedBy: req.approval?.username }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        respondError(res, "Check cancel", error);
+    }
+});
+
+export default router;
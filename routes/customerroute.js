@@ -0,0 +1,148 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Customer, Order } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "phone", "email", "notes"];
+
+const SEARCH_LIMIT = 20;
+const HISTORY_LIMIT = 20;
+
+// Largest single correction to a points balance
+const MAX_POINTS_ADJUSTMENT = 100000;
+
+const customerTarget = (customer) => ({ kind: "customer", id: customer._id, label: customer.name });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid customer ID" });
+    }
+    next();
+});
+
+// ?q= matches the start of a phone number or any part of a name
+router.get("/", requirePermission("orders:create"), async (req, res) => {
+    try {
+        const query = String(req.query.q || "").trim();
+        const phone = Customer.normalizePhone(query);
+
+        const filter = !query ? {} : {
+            $or: [
+                ...(phone ? [{ phone: { $regex: `^${phone}` } }] : []),
+                { name: { $regex: escapeRegex(query), $options: "i" } }
+            ]
+        };
+        const customers = await Customer.find(filter)
+            .sort(query ? { name: 1 } : { lastVisitAt: -1 })
+            .limit(SEARCH_LIMIT)
+            .lean();
+
+        res.json({ success: true, customers });
+    } catch (error) {
+        console.error("Customers fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Quick-create from the till: { phone, name, email?, notes? }
+router.post("/", requirePermission("orders:create"), async (req, res) => {
+    try {
+        const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+        const customer = await Customer.create(fields);
+        await audit(req, "customer.created", { target: customerTarget(customer), after: { name: customer.name, phone: customer.phone } });
+        res.status(201).json({ success: true, customer });
+    } catch (error) {
+        console.error("Customer create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// The customer with their latest orders
+router.get("/:id", requirePermission("orders:create"), async (req, res) => {
+    try {
+        const [customer, orders] = await Promise.all([
+            Customer.findById(req.params.id).lean(),
+            Order.find(
+                { "customer.account": req.params.id },
+                "receiptNumber type total status payments.method loyalty createdAt items.name items.quantity"
+            )
+                .sort({ createdAt: -1 })
+                .limit(HISTORY_LIMIT)
+                .lean()
+        ]);
+        if (!customer) {
+            return res.status(404).json({ success: false, message: "Customer not found" });
+        }
+
+        res.json({ success: true, customer, orders });
+    } catch (error) {
+        console.error("Customer fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id", requirePermission("customers:manage"), async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) {
+            return res.status(404).json({ success: false, message: "Customer not found" });
+        }
+
+        const previous = customer.toObject();
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) customer[field] = req.body[field];
+        });
+        await customer.save();
+        await audit(req, "customer.updated", { target: customerTarget(customer), ...changes(previous, customer, EDITABLE_FIELDS) });
+
+        res.json({ success: true, customer });
+    } catch (error) {
+        console.error("Customer update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { points, reason }: a positive or negative correction to the
+// balance, e.g. points from a visit before the customer signed up
+router.post("/:id/points", requirePermission("customers:manage"), async (req, res) => {
+    try {
+        const points = Number(req.body.points);
+        const reason = String(req.body.reason || "").trim();
+        if (!Number.isInteger(points) || points === 0 || Math.abs(points) > MAX_POINTS_ADJUSTMENT) {
+            return res.status(400).json({ success: false, message: `Points must be a whole number from -${MAX_POINTS_ADJUSTMENT} to ${MAX_POINTS_ADJUSTMENT}, other than 0` });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, message: "A reason is required to adjust points" });
+        }
+
+        const customer = await Customer.findOneAndUpdate(
+            { _id: req.params.id, ...(points < 0 ? { points: { $gte: -points } } : {}) },
+            { $inc: { points, ...(points > 0 ? { lifetimePoints: points } : {}) } },
+            { new: true }
+        );
+        if (!customer) {
+            const exists = await Customer.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ success: false, message: "The balance can't go below 0" })
+                : res.status(404).json({ success: false, message: "Customer not found" });
+        }
+
+        await audit(req, "customer.points_adjusted", {
+            target: customerTarget(customer),
+            before: { points: customer.points - points },
+            after: { points: customer.points, reason }
+        });
+        res.json({ success: true, customer });
+    } catch (error) {
+        console.error("Customer points error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
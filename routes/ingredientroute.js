@@ -0,0 +1,265 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Ingredient, IngredientMovement } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
+
+const router = express.Router();
+
+// On-hand quantities only change through the ledger below
+const EDITABLE_FIELDS = ["name", "unit", "cost", "reorderLevel"];
+
+const ADJUSTMENT_TYPES = ["adjustment", "waste"];
+
+const MAX_COUNT_LINES = 500;
+
+const ingredientTarget = (ingredient) => ({ kind: "ingredient", id: ingredient._id, label: ingredient.name });
+
+const auditMovement = (req, movement, ingredient) => audit(req, `ingredient.${movement.type}`, {
+    target: ingredientTarget(ingredient),
+    before: { onHand: movement.onHandBefore },
+    after: { onHand: movement.onHandAfter, quantity: movement.quantity, unitCost: movement.unitCost, reason: movement.reason }
+});
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+router.use(requirePermission("stock:manage"));
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid ingredient ID" });
+    }
+    next();
+});
+
+// Each ingredient with `low` set once it is at or below its reorder level.
+// ?includeInactive=true lists retired ones too.
+router.get("/", async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === "true" ? {} : { isActive: { $ne: false } };
+        const ingredients = await Ingredient.find(filter).sort({ name: 1 }).lean();
+
+        res.json({
+            success: true,
+            ingredients: ingredients.map(ingredient => ({
+                ...ingredient,
+                low: ingredient.isActive !== false && ingredient.onHand <= ingredient.reorderLevel
+            }))
+        });
+    } catch (error) {
+        console.error("Ingredients fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Theoretical against actual use over ?from=&to=, as for /api/stats
+router.get("/usage", async (req, res) => {
+    try {
+        const usage = await IngredientMovement.usage({ from: req.query.from, to: req.query.to });
+        res.json({ success: true, usage });
+    } catch (error) {
+        console.error("Ingredient usage error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Optional `onHand` in the body is booked as an opening purchase at `cost`
+router.post("/", async (req, res) => {
+    try {
+        const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+        const opening = Number(req.body.onHand || 0);
+        if (!Number.isFinite(opening) || opening < 0) throw badRequest("Opening quantity must be 0 or more");
+
+        const ingredient = await mongoose.connection.transaction(async (session) => {
+            const [created] = await Ingredient.create([fields], { session });
+            if (!opening) return created;
+
+            await IngredientMovement.apply({
+                ingredient: created._id,
+                type: "purchase",
+                quantity: opening,
+                user: req.user,
+                reason: "Opening quantity"
+            }, session);
+            return Ingredient.findById(created._id).session(session);
+        });
+        await audit(req, "ingredient.created", { target: ingredientTarget(ingredient), after: { ...fields, onHand: ingredient.onHand } });
+
+        res.status(201).json({ success: true, ingredient });
+    } catch (error) {
+        console.error("Ingredient create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { counts: [{ ingredient, counted }], reason? } from a stock take.
+// Each ingredient is set to what was counted and the difference from what
+// the recipes expected is kept as its variance.
+router.post("/counts", async (req, res) => {
+    try {
+        const { counts } = req.body;
+        if (!Array.isArray(counts) || !counts.length || counts.length > MAX_COUNT_LINES) {
+            throw badRequest(`Enter between 1 and ${MAX_COUNT_LINES} counts`);
+        }
+        counts.forEach(line => {
+            if (!mongoose.isValidObjectId(line?.ingredient)) throw badRequest("Invalid ingredient ID");
+            if (!Number.isFinite(Number(line.counted)) || Number(line.counted) < 0) throw badRequest("Counts must be 0 or more");
+        });
+        const reason = String(req.body.reason || "").trim() || "Physical count";
+
+        const counted = await mongoose.connection.transaction(async (session) => {
+            const results = [];
+            for (const line of counts) {
+                const ingredient = await Ingredient.findById(line.ingredient).session(session);
+                if (!ingredient) {
+                    const error = new Error("Ingredient not found");
+                    error.status = 404;
+                    throw error;
+                }
+
+                const difference = Math.round((Number(line.counted) - ingredient.onHand) * 1000) / 1000;
+                const movement = difference
+                    ? await IngredientMovement.apply({ ingredient: ingredient._id, type: "count", quantity: difference, user: req.user, reason }, session)
+                    : null;
+                await Ingredient.updateOne({ _id: ingredient._id }, { $set: { lastCountedAt: new Date() } }, { session });
+                results.push({ ingredient, movement, difference });
+            }
+            return results;
+        });
+
+        for (const { ingredient, movement } of counted) {
+            if (movement) await auditMovement(req, movement, ingredient);
+        }
+        res.status(201).json({
+            success: true,
+            counts: counted.map(({ ingredient, difference }) => ({ ingredient: ingredient._id, name: ingredient.name, difference }))
+        });
+    } catch (error) {
+        console.error("Ingredient count error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id", async (req, res) => {
+    try {
+        const ingredient = await Ingredient.findById(req.params.id);
+        if (!ingredient) {
+            return res.status(404).json({ success: false, message: "Ingredient not found" });
+        }
+
+        const previous = ingredient.toObject();
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) ingredient[field] = req.body[field];
+        });
+        await ingredient.save();
+        await audit(req, "ingredient.updated", { target: ingredientTarget(ingredient), ...changes(previous, ingredient, EDITABLE_FIELDS) });
+
+        res.json({ success: true, ingredient });
+    } catch (error) {
+        console.error("Ingredient update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { quantity, unitCost?, reason? }; the cost paid per unit is
+// averaged into the ingredient's cost
+router.post("/:id/purchase", async (req, res) => {
+    try {
+        const quantity = Number(req.body.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0) throw badRequest("Purchase quantity must be more than 0");
+
+        let unitCost;
+        if (req.body.unitCost !== undefined && req.body.unitCost !== "") {
+            unitCost = Number(req.body.unitCost);
+            if (!Number.isFinite(unitCost) || unitCost < 0) throw badRequest("Unit cost must be 0 or more");
+        }
+
+        const movement = await mongoose.connection.transaction(session => IngredientMovement.apply({
+            ingredient: req.params.id,
+            type: "purchase",
+            quantity,
+            unitCost,
+            user: req.user,
+            reason: req.body.reason
+        }, session));
+        const ingredient = await Ingredient.findById(req.params.id).lean();
+        await auditMovement(req, movement, ingredient);
+
+        res.status(201).json({ success: true, movement, ingredient });
+    } catch (error) {
+        console.error("Ingredient purchase error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { type: "adjustment" | "waste", quantity, reason }; waste only
+// ever takes away
+router.post("/:id/adjust", async (req, res) => {
+    try {
+        const type = req.body.type || "adjustment";
+        const reason = String(req.body.reason || "").trim();
+        if (!ADJUSTMENT_TYPES.includes(type)) throw badRequest(`Type must be one of: ${ADJUSTMENT_TYPES.join(", ")}`);
+        if (!reason) throw badRequest("A reason is required for adjustments");
+
+        let quantity = Number(req.body.quantity);
+        if (type === "waste") quantity = -Math.abs(quantity);
+
+        const movement = await mongoose.connection.transaction(session => IngredientMovement.apply({
+            ingredient: req.params.id,
+            type,
+            quantity,
+            user: req.user,
+            reason
+        }, session));
+        const ingredient = await Ingredient.findById(req.params.id).lean();
+        await auditMovement(req, movement, ingredient);
+
+        res.status(201).json({ success: true, movement, ingredient });
+    } catch (error) {
+        console.error("Ingredient adjustment error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.get("/:id/movements", async (req, res) => {
+    try {
+        const [ingredient, movements] = await Promise.all([
+            Ingredient.findById(req.params.id).lean(),
+            IngredientMovement.find({ ingredient: req.params.id }).sort({ createdAt: -1 }).limit(500).lean()
+        ]);
+        if (!ingredient) {
+            return res.status(404).json({ success: false, message: "Ingredient not found" });
+        }
+
+        res.json({ success: true, ingredient, movements });
+    } catch (error) {
+        console.error("Ingredient history error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Retired ingredients drop off the count sheet; recipes that use them still
+// take them
+const setActive = (isActive) => async (req, res) => {
+    try {
+        const ingredient = await Ingredient.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+        if (!ingredient) {
+            return res.status(404).json({ success: false, message: "Ingredient not found" });
+        }
+        await audit(req, isActive ? "ingredient.reactivated" : "ingredient.deactivated", { target: ingredientTarget(ingredient) });
+        res.json({ success: true, ingredient });
+    } catch (error) {
+        console.error("Ingredient activation error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/deactivate", setActive(false));
+router.post("/:id/reactivate", setActive(true));
+
+export default router;
@@ -0,0 +1,142 @@
+import express from "express";
+
+import { JournalEntry, Settings } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { formatMoney } from "../lib/receipt.js";
+import { csvRow } from "../lib/csv.js";
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.use(requirePermission("journal:view"));
+
+// ?from&to (business days, YYYY-MM-DD, inclusive), ?terminal (code) and ?kind
+const buildFilter = (query) => {
+    const filter = {};
+
+    if (query.from || query.to) {
+        if ([query.from, query.to].some(date => date && !DATE_PATTERN.test(date))) {
+            const error = new Error("from and to must be dates like 2024-01-31");
+            error.status = 400;
+            throw error;
+        }
+        filter.businessDate = {};
+        if (query.from) filter.businessDate.$gte = query.from;
+        if (query.to) filter.businessDate.$lte = query.to;
+    }
+    if (query.terminal) filter.terminalCode = String(query.terminal).toUpperCase();
+    if (query.kind) filter.kind = String(query.kind);
+
+    return filter;
+};
+
+const JOURNAL_ORDER = { businessDate: 1, terminalCode: 1, at: 1 };
+
+router.get("/", async (req, res) => {
+    try {
+        const filter = buildFilter(req.query);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [entries, total] = await Promise.all([
+            JournalEntry.find(filter, "-text").sort(JOURNAL_ORDER).skip((page - 1) * limit).limit(limit).lean(),
+            JournalEntry.countDocuments(filter)
+        ]);
+
+        res.json({ success: true, entries, total, page, limit });
+    } catch (error) {
+        console.error("Journal fetch error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+const CSV_COLUMNS = ["businessDate", "at", "terminal", "kind", "receiptNumber", "amount", "grandTotal", "user", "order", "text"];
+
+const toCsvRow = (entry) => csvRow([
+    entry.businessDate,
+    new Date(entry.at).toISOString(),
+    entry.terminalCode,
+    entry.kind,
+    entry.receiptNumber,
+    entry.amount,
+    entry.grandTotal,
+    entry.username,
+    entry.order,
+    entry.text
+]);
+
+const RULE = "=".repeat(48);
+
+const entryHeading = (entry) => [
+    new Date(entry.at).toLocaleTimeString("en-PH", { hour12: false }),
+    entry.kind.toUpperCase(),
+    entry.receiptNumber,
+    entry.amount !== undefined ? formatMoney(entry.amount) : null,
+    entry.grandTotal !== undefined ? `GT ${formatMoney(entry.grandTotal)}` : null,
+    entry.username
+].filter(Boolean).join("  ");
+
+// Each business day and terminal ends with its totals and the grand total
+// it closed on
+const dayFooter = (day) => [
+    `Sales ${formatMoney(day.sale)}  Voids ${formatMoney(day.void)}  Refunds ${formatMoney(day.refund)}`,
+    `Receipts ${day.first || "-"} to ${day.last || "-"}`,
+    `Accumulated grand total ${formatMoney(day.grandTotal)}`,
+    ""
+].join("\n");
+
+// ?format=text (default) or csv, with the same filters as the list
+router.get("/export", async (req, res) => {
+    try {
+        const format = req.query.format === "csv" ? "csv" : "text";
+        const filter = buildFilter(req.query);
+        const cursor = JournalEntry.find(filter).sort(JOURNAL_ORDER).lean().cursor();
+        const filename = `journal-${req.query.from || "start"}-to-${req.query.to || new Date().toISOString().slice(0, 10)}.${format === "csv" ? "csv" : "txt"}`;
+
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        if (format === "csv") {
+            res.type("text/csv");
+            res.write(csvRow(CSV_COLUMNS) + "\n");
+            for await (const entry of cursor) res.write(toCsvRow(entry) + "\n");
+            return res.end();
+        }
+
+        const settings = await Settings.getSettings();
+        res.type("text/plain");
+        res.write([
+            `ELECTRONIC JOURNAL - ${settings.receipt.storeName}`,
+            settings.receipt.tin ? `TIN: ${settings.receipt.tin}` : null,
+            `Days: ${req.query.from || "start"} to ${req.query.to || "today"}  Terminal: ${filter.terminalCode || "all"}`,
+            `Exported ${new Date().toLocaleString("en-PH")} by ${req.user.username}`,
+            ""
+        ].filter(line => line !== null).join("\n") + "\n");
+
+        let day = null;
+        for await (const entry of cursor) {
+            if (!day || day.date !== entry.businessDate || day.terminal !== entry.terminalCode) {
+                if (day) res.write(dayFooter(day) + "\n");
+                day = { date: entry.businessDate, terminal: entry.terminalCode, sale: 0, void: 0, refund: 0 };
+                res.write(`${RULE}\n${entry.businessDate}  Terminal ${entry.terminalCode || "-"}\n${RULE}\n`);
+            }
+
+            if (day[entry.kind] !== undefined) day[entry.kind] += Math.abs(entry.amount || 0);
+            if (entry.kind === "sale") {
+                day.first = day.first || entry.receiptNumber;
+                day.last = entry.receiptNumber;
+            }
+            if (entry.grandTotal !== undefined) day.grandTotal = entry.grandTotal;
+
+            res.write(`${entryHeading(entry)}\n${entry.text || ""}\n`);
+        }
+        if (day) res.write(dayFooter(day));
+        res.end();
+    } catch (error) {
+        console.error("Journal export error:", error);
+        if (res.headersSent) return res.end();
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
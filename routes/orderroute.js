@@ -0,0 +1,442 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Customer, JournalEntry, Order, Settings, Stats, StockMovement, User } from "../config/database.js";
+import { can, requirePermission, issueApproval, approvalTarget, spendApproval, APPROVAL_ACTIONS, terminalLock, recordTerminalFailure, clearTerminalFailures, lockedMessage } from "../middleware/auth.js";
+import { emitOrderUpdate } from "../sockets/kitchensocket.js";
+import { emitDashboardUpdate } from "../sockets/dashboardsocket.js";
+import { audit } from "../middleware/audit.js";
+import { PAPER_WIDTHS, buildReceipt, receiptText, receiptEscPos, reversalText, formatMoney } from "../lib/receipt.js";
+import { approveDiscounts, approvePriceOverrides, bookSale, orderTarget, saleCustomer, saleShift } from "../lib/sale.js";
+
+const router = express.Router();
+
+const ORDER_TYPES = ["Dine In", "Take Out"];
+
+// Kitchen and counter progress; voids and refunds have their own endpoints
+const PROGRESS_STATUSES = ["preparing", "ready", "served"];
+
+const RECEIPT_FORMATS = ["html", "text", "escpos"];
+
+const CLIENT_KEY_PATTERN = /^[\w-]{8,100}$/;
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    next();
+});
+
+// A manager signs off on the spot with their username and PIN (or
+// password). `target` is what they approve: { order } for a void or refund,
+// { kind, value } for a discount, { product, price } for a price override.
+// The token is sent with that discount, line or request and works once.
+// Wrong codes count towards both the manager's lockout and the terminal's.
+router.post("/approvals", async (req, res) => {
+    try {
+        const { username, password, pin, action } = req.body;
+        const permission = APPROVAL_ACTIONS[action];
+        if (!permission) {
+            return res.status(400).json({ success: false, message: "Unknown approval action" });
+        }
+        const target = approvalTarget(action, req.body.target);
+        if (!target) {
+            return res.status(400).json({ success: false, message: "Say what the approval is for" });
+        }
+
+        const locked = terminalLock(req);
+        if (locked) {
+            return res.status(423).json({ success: false, message: lockedMessage(locked) });
+        }
+
+        const approver = await User.findOne({ username: String(username || "") });
+        let reason = null;
+        if (!approver || approver.isActive === false) {
+            reason = approver ? "deactivated" : "unknown user";
+        } else if (approver.isLocked()) {
+            reason = "locked";
+        } else if (!(pin !== undefined ? approver.checkPin(pin) : approver.checkPassword(password))) {
+            reason = pin !== undefined ? "wrong PIN" : "wrong password";
+            approver.recordFailedLogin();
+            await approver.save();
+        } else if (!can(approver, permission)) {
+            reason = "not permitted";
+        }
+
+        if (reason) {
+            const terminalLocked = reason !== "not permitted" && recordTerminalFailure(req);
+            await audit(req, "approval.denied", { after: { action, target, approver: approver?.username || String(username || "") || null, reason, terminalLocked } });
+            if (reason.startsWith("wrong") && approver.isLocked()) {
+                await audit(req, "auth.locked", { target: { kind: "user", id: approver._id, label: approver.username } });
+            }
+            return res.status(403).json({ success: false, message: "Manager approval was not granted" });
+        }
+
+        clearTerminalFailures(req);
+        if (approver.failedLogins) {
+            approver.unlock();
+            await approver.save();
+        }
+        await audit(req, "approval.granted", { after: { action, target, approver: approver.username } });
+
+        res.json({
+            success: true,
+            approvalToken: issueApproval(approver, action, target),
+            approvedBy: approver.username
+        });
+    } catch (error) {
+        console.error("Approval error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Prices a cart without saving it so the cart and tender screen show the server's totals
+router.post("/quote", requirePermission("orders:create"), async (req, res) => {
+    try {
+        const items = approvePriceOverrides(req.body.items, req.user);
+        const discounts = approveDiscounts(req.body.discounts, req.user);
+        const priced = await Order.priceItems(items, discounts, { type: req.body.type });
+        res.json({ success: true, quote: priced });
+    } catch (error) {
+        console.error("Order quote error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// What the till gets back for a sale, the first time and on every resend
+const orderResponse = (order, duplicate = false) => ({
+    success: true,
+    orderId: order._id,
+    receiptNumber: order.receiptNumber,
+    duplicate,
+    order: {
+        items: order.items,
+        subtotal: order.subtotal,
+        discounts: order.discounts,
+        discountTotal: order.discountTotal,
+        vatAdjustment: order.vatAdjustment,
+        vatableSales: order.vatableSales,
+        vatExemptSales: order.vatExemptSales,
+        zeroRatedSales: order.zeroRatedSales,
+        tax: order.tax,
+        taxRate: order.taxRate,
+        pricesIncludeTax: order.pricesIncludeTax,
+        serviceCharge: order.serviceCharge,
+        total: order.total,
+        payments: order.payments,
+        amountPaid: order.amountPaid,
+        change: order.change,
+        type: order.type,
+        status: order.status,
+        createdAt: order.createdAt
+    },
+    message: duplicate ? "This order was already processed" : "Payment and order processed successfully"
+});
+
+// The till sends a fresh key with each sale in the Idempotency-Key header
+const readClientKey = (req) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return undefined;
+    if (!CLIENT_KEY_PATTERN.test(key)) {
+        const error = new Error("Idempotency-Key must be 8 to 100 letters, digits, dashes or underscores");
+        error.status = 400;
+        throw error;
+    }
+    return key;
+};
+
+// Sales taken offline say when; a time in the future is a wrong clock, not a sale
+const readQueuedAt = (value) => {
+    if (value === undefined || value === null) return undefined;
+    const queuedAt = new Date(value);
+    return Number.isNaN(queuedAt.getTime()) || queuedAt > new Date() ? undefined : queuedAt;
+};
+
+router.post("/", requirePermission("orders:create"), async (req, res) => {
+    try {
+        const orderData = req.body;
+
+        // A resent sale gets the original back, even if the shift has closed since
+        const clientKey = readClientKey(req);
+        if (clientKey) {
+            const existing = await Order.findOne({ clientKey });
+            if (existing) return res.json(orderResponse(existing, true));
+        }
+
+        // Ensure order has a type
+        const type = orderData.type || "Dine In";
+        if (!ORDER_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Order type must be one of: ${ORDER_TYPES.join(", ")}`
+            });
+        }
+
+        // Every sale lands on the cashier's open shift for the X/Z readings
+        const shift = await saleShift(req.user);
+
+        // Look up current prices and recompute totals on the server
+        const approvals = [];
+        const items = approvePriceOverrides(orderData.items, req.user, approvals);
+        const discounts = approveDiscounts(orderData.discounts, req.user, approvals);
+        const priced = await Order.priceItems(items, discounts, { type });
+
+        const order = new Order({
+            ...priced,
+            type,
+            clientKey,
+            queuedAt: readQueuedAt(orderData.queuedAt),
+            customer: saleCustomer(orderData.customer),
+            status: "paid",
+            paymentStatus: "paid",
+            history: [{ action: "created", status: "paid", user: req.user.id, username: req.user.username }]
+        });
+
+        // Refuses the order unless the tenders cover the server-computed total
+        order.settlePayments(orderData.payments);
+
+        const savedOrder = await bookSale(req, order, shift, { approvals });
+        res.json(orderResponse(savedOrder));
+    } catch (error) {
+        // The same sale arrived twice at once; the other request booked it
+        if (error.code === 11000 && error.keyPattern?.clientKey) {
+            const existing = await Order.findOne({ clientKey: error.keyValue.clientKey });
+            if (existing) return res.json(orderResponse(existing, true));
+        }
+
+        console.error("Order creation error:", error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message || "Failed to save order to database"
+        });
+    }
+});
+
+// Voided and refunded orders are kept and listed alongside the rest
+router.get("/", requirePermission("orders:list"), async (req, res) => {
+    try {
+        const { from, to, status } = req.query;
+        const filter = {};
+
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+            if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+                return res.status(400).json({ success: false, message: "from and to must be valid dates" });
+            }
+        }
+        if (status) filter.status = { $in: String(status).split(",") };
+
+        const orders = await Order.find(filter).sort({ createdAt: -1 }).limit(500).lean();
+        res.json({ success: true, orders });
+    } catch (error) {
+        console.error("Orders fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.get("/:id", async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id).lean();
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found" });
+        }
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error("Order fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id/status", requirePermission("orders:progress"), async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!PROGRESS_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${PROGRESS_STATUSES.join(", ")}`
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found" });
+        }
+
+        // Bumping a whole ticket to ready also readies each of its lines
+        if (status === "ready") {
+            order.markItemsReady(null, req.user);
+        } else {
+            order.transitionTo(status, req.user);
+        }
+        await order.save();
+
+        emitOrderUpdate(req.app.get("io"), order);
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error("Order status error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id/items/:itemId/ready", requirePermission("orders:progress"), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ success: false, message: "Order not found" });
+        }
+
+        order.markItemsReady([req.params.itemId], req.user);
+        await order.save();
+
+        emitOrderUpdate(req.app.get("io"), order);
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error("Item bump error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Shared by void and refund: body is { reason, lines?: [{ itemId, quantity? }], approvalToken? }
+const reverseOrder = (type) => async (req, res) => {
+    try {
+        const { reason, lines } = req.body;
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ success: false, message: `A reason is required to ${type} an order` });
+        }
+
+        const settings = await Settings.getSettings();
+        const { order, reversed } = await mongoose.connection.transaction(async (session) => {
+            const order = await Order.findById(req.params.id).session(session);
+            if (!order) {
+                const error = new Error("Order not found");
+                error.status = 404;
+                throw error;
+            }
+            // Nothing was taken for an open check yet, so there is nothing to give back
+            if (order.status === "open") {
+                const error = new Error("Open checks are cancelled from their table, not voided");
+                error.status = 409;
+                throw error;
+            }
+
+            await spendApproval(req.approval, session);
+            const reversed = order.reverseLines(type, lines, req.user, reason, req.approval);
+            const amount = order.history.filter(entry => entry.action === type).at(-1).amount;
+            await StockMovement.applyOrder({ _id: order._id, items: reversed }, type, req.user, session, reason);
+            await Customer.applyReversal(order, amount, session);
+            await order.save({ session });
+
+            await JournalEntry.record({
+                kind: type,
+                terminal: order.terminal,
+                order: order._id,
+                shift: order.shift,
+                receiptNumber: order.receiptNumber,
+                amount: -amount,
+                user: req.user,
+                text: reversalText(order, reversed, {
+                    type,
+                    amount,
+                    reason,
+                    username: req.user.username,
+                    approvedBy: req.approval?.username,
+                    paperWidth: settings.receipt.paperWidth
+                })
+            }, session);
+
+            return { order, reversed };
+        });
+
+        emitOrderUpdate(req.app.get("io"), order);
+        emitDashboardUpdate(req.app.get("io"));
+        await audit(req, type === "void" ? "order.voided" : "order.refunded", {
+            target: orderTarget(order),
+            after: {
+                lines: reversed.map(line => ({ name: line.name, size: line.size, quantity: line.quantity })),
+                amount: order.history.filter(entry => entry.action === type).at(-1)?.amount,
+                reason,
+                approvedBy: req.approval?.username
+            }
+        });
+
+        try {
+            // A stored rollup for the order's day no longer matches its orders
+            await Stats.invalidate(order.createdAt);
+        } catch (statsError) {
+            console.error("Stats invalidation error (non-critical):", statsError);
+        }
+
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error(`Order ${type} error:`, error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/void", requirePermission("orders:void", { override: "void" }), reverseOrder("void"));
+router.post("/:id/refund", requirePermission("orders:refund", { override: "refund" }), reverseOrder("refund"));
+
+// Body is { format?, width? }: html (the default, prints itself when opened),
+// text or escpos, on 58 or 80mm paper (default from the receipt settings).
+// Every print after the first is marked REPRINT.
+router.post("/:id/receipt", requirePermission("receipts:print"), async (req, res) => {
+    try {
+        const { format = "html", width } = req.body;
+        if (!RECEIPT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `Format must be one of: ${RECEIPT_FORMATS.join(", ")}` });
+        }
+        if (width !== undefined && !PAPER_WIDTHS[width]) {
+            return res.status(400).json({ success: false, message: `Paper width must be one of: ${Object.keys(PAPER_WIDTHS).join(", ")}` });
+        }
+
+        // Counted before rendering so two prints at once can't both be the original
+        const order = await Order.findOneAndUpdate(
+            { _id: req.params.id, status: { $ne: "open" } },
+            { $inc: { receiptPrints: 1 } }
+        ).lean();
+        if (!order) {
+            // An open check is still unpaid; its table prints a bill instead
+            const exists = await Order.exists({ _id: req.params.id });
+            return res.status(exists ? 409 : 404).json({
+                success: false,
+                message: exists ? "This check hasn't been paid yet; print the bill instead" : "Order not found"
+            });
+        }
+
+        // Orders from before prints were counted had their receipt printed at the till
+        const reprint = order.receiptPrints !== 0;
+        const receipt = buildReceipt(order, await Settings.getSettings(), { width, reprint });
+        if (reprint) {
+            await JournalEntry.record({
+                kind: "reprint",
+                terminal: order.terminal,
+                order: order._id,
+                shift: order.shift,
+                receiptNumber: order.receiptNumber,
+                amount: order.total,
+                user: req.user,
+                text: receiptText(receipt)
+            });
+            await audit(req, "order.receipt_reprinted", {
+                target: orderTarget(order),
+                after: { copy: (order.receiptPrints || 1) + 1, format }
+            });
+        }
+
+        if (format === "text") {
+            return res.type("text/plain").send(receiptText(receipt));
+        }
+        if (format === "escpos") {
+            res.attachment(`receipt-${receipt.orderNumber}.bin`);
+            return res.type("application/octet-stream").send(await receiptEscPos(receipt));
+        }
+        res.render("receipt", { receipt, formatMoney, autoPrint: true });
+    } catch (error) {
+        console.error("Receipt error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
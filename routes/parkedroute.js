@@ -0,0 +1,92 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { ParkedOrder, Settings, Shift } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { approvePriceOverrides } from "../lib/sale.js";
+
+const router = express.Router();
+
+// Carts parked at the till, shared by every terminal
+router.use(requirePermission("orders:create"));
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid parked order ID" });
+    }
+    next();
+});
+
+// Oldest first, each flagged `stale` once it has waited longer than the
+// store's setting. Expired ones are already gone.
+router.get("/", async (req, res) => {
+    try {
+        const [parked, settings] = await Promise.all([
+            ParkedOrder.find({}, "-cart").populate("terminal", "code").sort({ createdAt: 1 }).lean(),
+            Settings.getSettings()
+        ]);
+        const staleBefore = Date.now() - settings.parking.staleAfterMinutes * 60000;
+
+        res.json({
+            success: true,
+            parked: parked
+                .filter(order => !order.expiresAt || order.expiresAt > new Date())
+                .map(({ terminal, ...order }) => ({
+                    ...order,
+                    terminalCode: terminal?.code || null,
+                    stale: order.createdAt.getTime() < staleBefore
+                }))
+        });
+    } catch (error) {
+        console.error("Parked orders fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { label, orderType?, cart: { items, discounts, customer? }, items }: `cart` is
+// the till's own copy to put back on recall, `items` the lines as sent for a
+// sale so they can be priced for the list. Price override approvals are only
+// checked here; the sale the cart becomes spends them.
+router.post("/", async (req, res) => {
+    try {
+        const { label, orderType, cart, items } = req.body;
+        const shift = await Shift.findOne({ cashier: req.user.id, status: "open" }, "terminal").lean();
+
+        const parked = await ParkedOrder.park(
+            { label, orderType, cart, items: approvePriceOverrides(items, req.user) },
+            req.user,
+            shift?.terminal
+        );
+        res.status(201).json({ success: true, parked: { _id: parked._id, label: parked.label, total: parked.total } });
+    } catch (error) {
+        console.error("Park order error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Hands the cart back and takes it off the list
+router.post("/:id/recall", async (req, res) => {
+    try {
+        const parked = await ParkedOrder.recall(req.params.id);
+        res.json({ success: true, parked });
+    } catch (error) {
+        console.error("Recall order error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// For a customer who left; nothing was sold, so nothing else changes
+router.delete("/:id", async (req, res) => {
+    try {
+        const parked = await ParkedOrder.findByIdAndDelete(req.params.id);
+        if (!parked) {
+            return res.status(404).json({ success: false, message: "That order was already recalled or has expired" });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Discard parked order error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
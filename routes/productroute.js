@@ -1,23 +1,412 @@
 import express from "express";
+import mongoose from "mongoose";
+
+import { Brand, Category, Ingredient, Product, StockMovement } from "../config/database.js";
+import { can, requirePermission } from "../middleware/auth.js";
+import { uploadImage, imageUrl, storeProductImage, removeProductImages } from "../middleware/imageupload.js";
+import { audit, changes } from "../middleware/audit.js";
 
 const router = express.Router();
 
-router.post("/Create", (req, res) => {
-    const { productname, price, category } = req.body;
+// Stock and costs only change through the stock ledger, images through the
+// upload endpoint and recipes through their own
+const EDITABLE_FIELDS = ["name", "price", "category", "brand", "description", "taxClass", "variants", "modifierGroups"];
+
+const isAvailable = (entry) => entry.isActive !== false;
+
+const productTarget = (product) => ({ kind: "product", id: product._id, label: product.name });
 
-    if (!productname || !price) {
-        return res.status(400).json({ message: "Name and price are required" });
+// The audited view of a product: what can be edited, as plain values
+const snapshot = (product) => {
+    const plain = typeof product.toObject === "function" ? product.toObject() : product;
+    return Object.fromEntries(EDITABLE_FIELDS.map(field => [field, plain[field] ?? null]));
+};
+
+// Admin listings keep archived variants and options so they can be restored
+const toMenuItem = (product, includeArchived = false) => ({
+    id: product._id,
+    name: product.name,
+    price: product.price,
+    category: product.category ? product.category.name : 'Uncategorized',
+    categoryId: product.category?._id || null,
+    brand: product.brand ? product.brand.name : null,
+    brandId: product.brand?._id || null,
+    description: product.description || '',
+    taxClass: product.taxClass,
+    // What the product is taxed as once the category's class is taken into account
+    saleTaxClass: product.taxClass || product.category?.taxClass || 'vatable',
+    stock: product.variants?.length
+        ? product.variants.filter(isAvailable).reduce((sum, v) => sum + (v.stock || 0), 0)
+        : product.stock,
+    variants: (product.variants || [])
+        .filter(v => includeArchived || isAvailable(v))
+        .map(v => ({ id: v._id, name: v.name, price: v.price, stock: v.stock, isActive: isAvailable(v), recipe: v.recipe || [] })),
+    modifierGroups: (product.modifierGroups || []).map(group => ({
+        id: group._id,
+        name: group.name,
+        minSelect: group.minSelect,
+        maxSelect: group.maxSelect,
+        options: group.options
+            .filter(o => includeArchived || isAvailable(o))
+            .map(o => ({ id: o._id, name: o.name, price: o.price, isActive: isAvailable(o) }))
+    })),
+    recipe: product.recipe || [],
+    image: imageUrl(product.image),
+    thumbnail: imageUrl(product.thumbnail || product.image),
+    sortOrder: product.sortOrder,
+    isActive: product.isActive !== false
+});
+
+// Menu order: by category, then by product
+const menuOrder = (a, b) =>
+    (a.category?.sortOrder ?? Infinity) - (b.category?.sortOrder ?? Infinity) ||
+    (a.sortOrder || 0) - (b.sortOrder || 0) ||
+    a.name.localeCompare(b.name);
+
+const pickFields = async (body) => {
+    const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
+    if (fields.category !== undefined) {
+        fields.category = fields.category || null;
+        if (fields.category && (!mongoose.isValidObjectId(fields.category) || !(await Category.exists({ _id: fields.category })))) {
+            const error = new Error("Category not found");
+            error.status = 400;
+            throw error;
+        }
+    }
+    if (fields.brand !== undefined) {
+        fields.brand = fields.brand || null;
+        if (fields.brand && (!mongoose.isValidObjectId(fields.brand) || !(await Brand.exists({ _id: fields.brand })))) {
+            const error = new Error("Brand not found");
+            error.status = 400;
+            throw error;
+        }
+    }
+    if (fields.taxClass === '') fields.taxClass = null;
+    if (fields.variants !== undefined && !Array.isArray(fields.variants)) {
+        const error = new Error("Variants must be a list");
+        error.status = 400;
+        throw error;
+    }
+    if (fields.modifierGroups !== undefined && !Array.isArray(fields.modifierGroups)) {
+        const error = new Error("Modifier groups must be a list");
+        error.status = 400;
+        throw error;
     }
 
-    res.status(201).json({
-        id: Date.now(),
-        productname,
-        price,
-        category
+    return fields;
+};
+
+// Variant stock only moves through the ledger: existing variants keep theirs
+// (and their recipe, costs and reorder level), new ones start at 0, and one
+// can only be dropped once its stock is gone
+const mergeVariants = (existing, incoming) => {
+    const kept = incoming.map(({ _id, id, name, price, isActive }) => {
+        const variantId = _id || id;
+        const current = variantId && existing.find(v => String(v._id) === String(variantId));
+        return current
+            ? {
+                _id: current._id, name, price, isActive,
+                stock: current.stock, recipe: current.recipe,
+                cost: current.cost, lastCost: current.lastCost, reorderLevel: current.reorderLevel
+            }
+            : { name, price, isActive, stock: 0 };
     });
+
+    const dropped = existing.filter(v => !kept.some(k => k._id && String(k._id) === String(v._id)));
+    const withStock = dropped.find(v => v.stock > 0);
+    if (withStock) {
+        const error = new Error(`${withStock.name} still has ${withStock.stock} in stock; archive it or adjust its stock to 0 first`);
+        error.status = 400;
+        throw error;
+    }
+    return kept;
+};
+
+// Keeps the IDs of groups and options that already exist so past orders still match them
+const withId = (entry) => (entry._id || entry.id ? { _id: entry._id || entry.id } : {});
+
+const toModifierGroups = (groups) => groups.map(group => ({
+    ...withId(group),
+    name: group.name,
+    minSelect: group.minSelect,
+    maxSelect: group.maxSelect,
+    options: (group.options || []).map(option => ({
+        ...withId(option),
+        name: option.name,
+        price: option.price,
+        isActive: option.isActive
+    }))
+}));
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid product ID" });
+    }
+    next();
+});
+
+// The staff menu: products that are active and in an active category.
+// Admins can pass ?includeArchived=true to see everything.
+router.get("/", async (req, res) => {
+    try {
+        const includeArchived = can(req.user, "catalog:manage") && req.query.includeArchived === "true";
+        const filter = includeArchived ? {} : { isActive: { $ne: false } };
+
+        const products = await Product.find(filter)
+            .populate('category', 'name sortOrder isActive taxClass')
+            .populate('brand', 'name')
+            .lean();
+
+        const visible = includeArchived ? products : products.filter(p => p.category?.isActive !== false);
+        res.json(visible.sort(menuOrder).map(product => toMenuItem(product, includeArchived)));
+    } catch (error) {
+        console.error('Products fetch error:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Optional `stock` in the body (or on each variant) is booked as an opening
+// restock in the ledger
+router.post("/", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        const fields = await pickFields(req.body);
+        const variants = fields.variants || [];
+        const openingStock = variants.length
+            ? variants.map(v => Number(v.stock || 0))
+            : [Number(req.body.stock || 0)];
+        if (openingStock.some(quantity => !Number.isInteger(quantity) || quantity < 0)) {
+            return res.status(400).json({ success: false, message: "Opening stock must be a whole number of 0 or more" });
+        }
+
+        const sortOrder = await Product.nextSortOrder();
+        const product = await mongoose.connection.transaction(async (session) => {
+            const [created] = await Product.create([{
+                ...fields,
+                variants: mergeVariants([], variants),
+                modifierGroups: toModifierGroups(fields.modifierGroups || []),
+                stock: 0,
+                sortOrder
+            }], { session });
+
+            for (const [index, quantity] of openingStock.entries()) {
+                if (quantity === 0) continue;
+                await StockMovement.apply({
+                    product: created._id,
+                    variant: created.variants[index]?._id,
+                    type: "restock",
+                    quantity,
+                    user: req.user,
+                    reason: "Opening stock"
+                }, session);
+            }
+            return Product.findById(created._id).session(session);
+        });
+        await audit(req, "product.created", {
+            target: productTarget(product),
+            after: { ...snapshot(product), stock: product.stock }
+        });
+
+        res.status(201).json({ success: true, product });
+    } catch (error) {
+        console.error("Product create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.put("/order", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        await Product.reorder(req.body.ids);
+        res.json({ success: true, message: "Product order saved" });
+    } catch (error) {
+        console.error("Product reorder error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        const fields = await pickFields(req.body);
+
+        // In a transaction so a sale landing mid-edit can't have its variant
+        // stock change overwritten
+        let previous;
+        const product = await mongoose.connection.transaction(async (session) => {
+            const product = await Product.findById(req.params.id).session(session);
+            if (!product) return null;
+            previous = snapshot(product);
+
+            if (fields.variants) fields.variants = mergeVariants(product.variants, fields.variants);
+            if (fields.modifierGroups) fields.modifierGroups = toModifierGroups(fields.modifierGroups);
+
+            Object.assign(product, fields);
+            return product.save({ session });
+        });
+        if (!product) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+        await audit(req, "product.updated", {
+            target: productTarget(product),
+            ...changes(previous, snapshot(product), EDITABLE_FIELDS)
+        });
+
+        res.json({ success: true, product });
+    } catch (error) {
+        console.error("Product update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// [{ ingredient, quantity }] with every ingredient checked to exist
+const readRecipe = async (lines, label) => {
+    if (!Array.isArray(lines)) {
+        const error = new Error(`The recipe for ${label} must be a list`);
+        error.status = 400;
+        throw error;
+    }
+
+    const ids = lines.map(line => line?.ingredient);
+    const valid = ids.every(id => mongoose.isValidObjectId(id)) && new Set(ids.map(String)).size === ids.length;
+    if (!valid || await Ingredient.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+        const error = new Error(`The recipe for ${label} names an unknown or repeated ingredient`);
+        error.status = 400;
+        throw error;
+    }
+    return lines.map(line => ({ ingredient: line.ingredient, quantity: Number(line.quantity) }));
+};
+
+const recipeSnapshot = (product) => ({
+    recipe: product.recipe.map(line => ({ ingredient: String(line.ingredient), quantity: line.quantity })),
+    variants: product.variants.map(v => ({
+        name: v.name,
+        recipe: (v.recipe || []).map(line => ({ ingredient: String(line.ingredient), quantity: line.quantity }))
+    }))
+});
+
+// Body is { recipe?, variants?: [{ id, recipe }] }, each recipe a list of
+// { ingredient, quantity } per item sold. A size with an empty recipe uses
+// the product's; a product with no recipe at all keeps its own stock.
+router.put("/:id/recipe", requirePermission("stock:manage"), async (req, res) => {
+    try {
+        const recipe = req.body.recipe === undefined ? undefined : await readRecipe(req.body.recipe, "the product");
+        const variantRecipes = [];
+        for (const entry of Array.isArray(req.body.variants) ? req.body.variants : []) {
+            variantRecipes.push({ id: String(entry?.id), recipe: await readRecipe(entry?.recipe, "a size") });
+        }
+
+        let previous;
+        const product = await mongoose.connection.transaction(async (session) => {
+            const product = await Product.findById(req.params.id).session(session);
+            if (!product) return null;
+            previous = recipeSnapshot(product);
+
+            if (recipe) product.recipe = recipe;
+            variantRecipes.forEach(({ id, recipe }) => {
+                const variant = mongoose.isValidObjectId(id) && product.variants.id(id);
+                if (!variant) {
+                    const error = new Error("Size not found");
+                    error.status = 404;
+                    throw error;
+                }
+                variant.recipe = recipe;
+            });
+            return product.save({ session });
+        });
+        if (!product) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+        await audit(req, "product.recipe_updated", { target: productTarget(product), before: previous, after: recipeSnapshot(product) });
+
+        res.json({ success: true, product });
+    } catch (error) {
+        console.error("Recipe update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
 });
-router.get("/getAll", (req, res) => {
-    res.json({ message: "Product route working" });
+
+// Removes a product's previous uploads unless another product still uses them
+const cleanupImages = async (productId, paths) => {
+    const inUse = await Product.find(
+        { _id: { $ne: productId }, $or: [{ image: { $in: paths } }, { thumbnail: { $in: paths } }] },
+        "image thumbnail"
+    ).lean();
+    const shared = new Set(inUse.flatMap(p => [p.image, p.thumbnail]));
+
+    await removeProductImages(paths.filter(file => !shared.has(file)));
+};
+
+// multipart/form-data with a single `image` file
+router.post("/:id/image", requirePermission("catalog:manage"), uploadImage, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: "Choose an image to upload" });
+        }
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+
+        const previous = [product.image, product.thumbnail];
+        const { image, thumbnail } = await storeProductImage(req.file.buffer);
+
+        product.image = image;
+        product.thumbnail = thumbnail;
+        await product.save();
+        await audit(req, "product.image_changed", {
+            target: productTarget(product),
+            before: { image: previous[0] || null },
+            after: { image }
+        });
+
+        await cleanupImages(product._id, previous.filter(file => file !== image && file !== thumbnail));
+
+        res.json({ success: true, image: imageUrl(image), thumbnail: imageUrl(thumbnail) });
+    } catch (error) {
+        console.error("Product image upload error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
 });
 
-export default router;  
+router.delete("/:id/image", requirePermission("catalog:manage"), async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+
+        const previous = [product.image, product.thumbnail];
+        product.image = '';
+        product.thumbnail = '';
+        await product.save();
+        await audit(req, "product.image_removed", { target: productTarget(product), before: { image: previous[0] || null } });
+
+        await cleanupImages(product._id, previous);
+        res.json({ success: true, image: imageUrl(''), thumbnail: imageUrl('') });
+    } catch (error) {
+        console.error("Product image delete error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Archived products drop off the menu and can no longer be ordered
+const setActive = (isActive) => async (req, res) => {
+    try {
+        const product = await Product.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+        if (!product) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+        await audit(req, isActive ? "product.restored" : "product.archived", { target: productTarget(product) });
+        res.json({ success: true, product });
+    } catch (error) {
+        console.error("Product archive error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/archive", requirePermission("catalog:manage"), setActive(false));
+router.post("/:id/restore", requirePermission("catalog:manage"), setActive(true));
+
+export default router;
@@ -0,0 +1,251 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { PurchaseOrder, Supplier, OUTSTANDING_PURCHASE_ORDER_STATUSES } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { audit } from "../middleware/audit.js";
+
+const router = express.Router();
+
+const LIST_LIMIT = 200;
+
+const orderTarget = (order) => ({ kind: "purchase_order", id: order._id, label: order.poNumber });
+
+// The audited view of a purchase order's lines
+const lineSnapshot = (order) => order.lines.map(line => ({
+    name: line.name,
+    quantity: line.quantity,
+    received: line.received,
+    unitCost: line.unitCost
+}));
+
+const notFound = () => {
+    const error = new Error("Purchase order not found");
+    error.status = 404;
+    return error;
+};
+
+// Only active suppliers take new orders
+const readSupplier = async (id, session) => {
+    const supplier = mongoose.isValidObjectId(id)
+        ? await Supplier.findOne({ _id: id, isActive: { $ne: false } }, "name").session(session).lean()
+        : null;
+    if (!supplier) {
+        const error = new Error("Choose an active supplier");
+        error.status = 400;
+        throw error;
+    }
+    return supplier;
+};
+
+const readExpectedAt = (value) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        const error = new Error("Invalid expected date");
+        error.status = 400;
+        throw error;
+    }
+    return date;
+};
+
+router.use(requirePermission("stock:manage"));
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid purchase order ID" });
+    }
+    next();
+});
+
+// ?status= one status, or "outstanding" for drafts and orders still waiting
+// on deliveries; ?supplier= narrows to one supplier. Newest first.
+router.get("/", async (req, res) => {
+    try {
+        const { status, supplier } = req.query;
+        const filter = {};
+        if (status === "outstanding") filter.status = { $in: OUTSTANDING_PURCHASE_ORDER_STATUSES };
+        else if (status) filter.status = status;
+        if (supplier) {
+            if (!mongoose.isValidObjectId(supplier)) {
+                return res.status(400).json({ success: false, message: "Invalid supplier ID" });
+            }
+            filter.supplier = supplier;
+        }
+
+        const orders = await PurchaseOrder.find(filter, "-receipts -history")
+            .sort({ createdAt: -1 })
+            .limit(LIST_LIMIT)
+            .lean();
+        res.json({ success: true, orders });
+    } catch (error) {
+        console.error("Purchase orders fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Every stocked item with its sales pace and a suggested order quantity:
+// ?days= of sales to go by (default 28), ?coverDays= to buy for (default 14)
+router.get("/reorder", async (req, res) => {
+    try {
+        const list = await PurchaseOrder.reorderList({
+            days: req.query.days || undefined,
+            coverDays: req.query.coverDays || undefined
+        });
+        res.json({ success: true, ...list });
+    } catch (error) {
+        console.error("Reorder list error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.get("/:id", async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findById(req.params.id).lean();
+        if (!order) throw notFound();
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error("Purchase order fetch error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { supplier, lines: [{ product, variant? } or { ingredient }, with
+// quantity and unitCost?], expectedAt?, notes? }. New orders start as drafts.
+router.post("/", async (req, res) => {
+    try {
+        const order = await mongoose.connection.transaction(async (session) => {
+            const supplier = await readSupplier(req.body.supplier, session);
+            const lines = await PurchaseOrder.buildLines(req.body.lines, session);
+
+            const [created] = await PurchaseOrder.create([{
+                ...await PurchaseOrder.nextNumber(session),
+                supplier: supplier._id,
+                supplierName: supplier.name,
+                lines,
+                expectedAt: readExpectedAt(req.body.expectedAt),
+                notes: req.body.notes,
+                history: [{ action: "created", status: "draft", user: req.user.id, username: req.user.username }]
+            }], { session });
+            return created;
+        });
+        await audit(req, "purchase_order.created", {
+            target: orderTarget(order),
+            after: { supplier: order.supplierName, total: order.total, lines: lineSnapshot(order) }
+        });
+
+        res.status(201).json({ success: true, order });
+    } catch (error) {
+        console.error("Purchase order create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Drafts only; once ordered, the supplier has what was sent
+router.patch("/:id", async (req, res) => {
+    try {
+        let previous;
+        const order = await mongoose.connection.transaction(async (session) => {
+            const order = await PurchaseOrder.findById(req.params.id).session(session);
+            if (!order) throw notFound();
+            if (order.status !== "draft") {
+                const error = new Error("Only draft purchase orders can be changed");
+                error.status = 409;
+                throw error;
+            }
+            previous = { supplier: order.supplierName, total: order.total, lines: lineSnapshot(order) };
+
+            if (req.body.supplier !== undefined) {
+                const supplier = await readSupplier(req.body.supplier, session);
+                order.supplier = supplier._id;
+                order.supplierName = supplier.name;
+            }
+            if (req.body.lines !== undefined) order.lines = await PurchaseOrder.buildLines(req.body.lines, session);
+            if (req.body.expectedAt !== undefined) order.expectedAt = readExpectedAt(req.body.expectedAt);
+            if (req.body.notes !== undefined) order.notes = req.body.notes;
+            order.history.push({ action: "updated", status: order.status, user: req.user.id, username: req.user.username });
+
+            return order.save({ session });
+        });
+        await audit(req, "purchase_order.updated", {
+            target: orderTarget(order),
+            before: previous,
+            after: { supplier: order.supplierName, total: order.total, lines: lineSnapshot(order) }
+        });
+
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error("Purchase order update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Marks a draft as sent to the supplier
+router.post("/:id/order", async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) throw notFound();
+
+        order.transitionTo("ordered", req.user);
+        await order.save();
+        await audit(req, "purchase_order.ordered", { target: orderTarget(order), after: { total: order.total } });
+
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error("Purchase order send error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { lines: [{ line, quantity, unitCost? }], reference? } for what
+// came in, or { all: true, reference? } for everything still outstanding at
+// the agreed costs. `reference` is the supplier's delivery or invoice number.
+router.post("/:id/receive", async (req, res) => {
+    try {
+        const reference = String(req.body.reference || "").trim().slice(0, 60) || undefined;
+
+        let receipt;
+        const order = await mongoose.connection.transaction(async (session) => {
+            const order = await PurchaseOrder.findById(req.params.id).session(session);
+            if (!order) throw notFound();
+
+            const entries = req.body.all
+                ? order.lines
+                    .filter(line => line.received < line.quantity)
+                    .map(line => ({ line: line._id, quantity: line.quantity - line.received }))
+                : req.body.lines;
+            receipt = await order.receive(entries, req.user, reference, session);
+            return order.save({ session });
+        });
+        await audit(req, "purchase_order.received", {
+            target: orderTarget(order),
+            after: { status: order.status, reference, lines: receipt.lines.map(({ name, quantity, unitCost }) => ({ name, quantity, unitCost })) }
+        });
+
+        res.status(201).json({ success: true, order, receipt });
+    } catch (error) {
+        console.error("Purchase order receive error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { reason? }. A part-received order closes with what already came.
+router.post("/:id/cancel", async (req, res) => {
+    try {
+        const reason = String(req.body.reason || "").trim() || undefined;
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) throw notFound();
+
+        const previous = order.status;
+        order.transitionTo("cancelled", req.user, reason);
+        await order.save();
+        await audit(req, "purchase_order.cancelled", { target: orderTarget(order), before: { status: previous }, after: { status: order.status, reason } });
+
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error("Purchase order cancel error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
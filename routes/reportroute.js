@@ -0,0 +1,130 @@
+import express from "express";
+
+import { Shift, Stats } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { sendCsv } from "../lib/csv.js";
+
+const router = express.Router();
+
+router.use(requirePermission("stats:view"));
+
+// Columns that count things; the rest are pesos and go out with centavos
+const COUNT_COLUMNS = ["orders", "voidedOrders", "refundedOrders", "items", "zReadings", "orderCount", "itemsSold", "quantity", "uncostedQuantity"];
+
+const csvValue = (column, value) => (COUNT_COLUMNS.includes(column) ? value : Number(value || 0).toFixed(2));
+
+// Local YYYY-MM-DD for file names
+const fileDate = (date) => new Date(date).toLocaleDateString("en-CA");
+
+// ?groupBy (day, hour, type, cashier, product, category or payment) with
+// ?from=&to= as for /api/stats. ?format=csv downloads it with a total row.
+router.get("/sales", async (req, res) => {
+    try {
+        const report = await Stats.salesReport({
+            from: req.query.from,
+            to: req.query.to,
+            groupBy: req.query.groupBy || undefined
+        });
+
+        if (req.query.format !== "csv") {
+            return res.json({ success: true, report });
+        }
+
+        const { groupBy, columns, rows, totals } = report;
+        sendCsv(
+            res,
+            `sales-by-${groupBy}-${fileDate(report.from)}-to-${fileDate(report.to - 1)}.csv`,
+            [groupBy, ...columns],
+            [
+                ...rows.map(row => [row.name, ...columns.map(column => csvValue(column, row[column]))]),
+                ["Total", ...columns.map(column => csvValue(column, totals[column]))]
+            ]
+        );
+    } catch (error) {
+        console.error("Sales report error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+const SUMMARY_COLUMNS = [
+    "zReadings", "orderCount", "voidedOrders", "refundedOrders", "itemsSold",
+    "grossSales", "vatAdjustment", "seniorDiscounts", "pwdDiscounts", "manualDiscounts", "discounts",
+    "voids", "refunds", "serviceCharge", "netSales",
+    "vatableSales", "vat", "vatExemptSales", "zeroRatedSales"
+];
+
+const summaryCells = (row, tenders) => [
+    ...SUMMARY_COLUMNS.map(column => {
+        const value = {
+            seniorDiscounts: row.discounts.senior,
+            pwdDiscounts: row.discounts.pwd,
+            manualDiscounts: row.discounts.manual,
+            discounts: row.discounts.total
+        }[column] ?? row[column];
+        return csvValue(column, value);
+    }),
+    ...tenders.map(method => csvValue(method, row.tenders[method])),
+    csvValue("overShort", row.overShort)
+];
+
+// Daily or monthly sales from the Z-readings: ?period=day (default) or
+// month, ?from=&to= business days (YYYY-MM-DD, inclusive). ?format=csv
+// downloads one row per period; the terminals' grand totals are in the JSON.
+router.get("/summary", async (req, res) => {
+    try {
+        const summary = await Shift.summarizeReadings({
+            from: req.query.from,
+            to: req.query.to,
+            period: req.query.period || undefined
+        });
+
+        if (req.query.format !== "csv") {
+            return res.json({ success: true, summary });
+        }
+
+        const tenders = Object.keys(summary.totals.tenders);
+        sendCsv(
+            res,
+            `z-summary-${summary.period}-${summary.from}-to-${summary.to}.csv`,
+            [summary.period, ...SUMMARY_COLUMNS, ...tenders.map(method => `${method}Tenders`), "overShort"],
+            [
+                ...summary.rows.map(row => [row.period, ...summaryCells(row, tenders)]),
+                ["Total", ...summaryCells(summary.totals, tenders)]
+            ]
+        );
+    } catch (error) {
+        console.error("Sales summary error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+const MARGIN_COLUMNS = ["quantity", "uncostedQuantity", "sales", "costedSales", "cost", "margin", "marginPercent"];
+
+// Gross margin per product over ?from=&to= as for /api/stats: sales net of
+// VAT against what their recipes cost. ?format=csv downloads it.
+router.get("/margins", async (req, res) => {
+    try {
+        const report = await Stats.marginReport({ from: req.query.from, to: req.query.to });
+
+        if (req.query.format !== "csv") {
+            return res.json({ success: true, report });
+        }
+
+        // Products with no costed sales have no margin
+        const cells = row => MARGIN_COLUMNS.map(column => (row[column] === null ? "" : csvValue(column, row[column])));
+        sendCsv(
+            res,
+            `margins-${fileDate(report.from)}-to-${fileDate(report.to - 1)}.csv`,
+            ["product", ...MARGIN_COLUMNS],
+            [
+                ...report.rows.map(row => [row.name, ...cells(row)]),
+                ["Total", ...cells(report.totals)]
+            ]
+        );
+    } catch (error) {
+        console.error("Margin report error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,234 @@
+import express from "express";
+
+import { Settings } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
+import { uploadImage, imageUrl, storeReceiptLogo, removeReceiptLogo } from "../middleware/imageupload.js";
+import { PAPER_WIDTHS } from "../lib/receipt.js";
+
+const router = express.Router();
+
+const RATE_FIELDS = ["vatRate", "serviceChargeRate"];
+
+const RECEIPT_FIELDS = ["storeName", "headerLines", "tin", "footerLines", "paperWidth"];
+const RECEIPT_LINE_FIELDS = ["headerLines", "footerLines"];
+const MAX_RECEIPT_LINES = 8;
+
+const receiptTarget = { kind: "settings", id: "store" };
+
+// Field, smallest and largest number of minutes
+const PARKING_LIMITS = [["staleAfterMinutes", 1, 1440], ["expireAfterMinutes", 0, 10080]];
+
+// Field and smallest value
+const LOYALTY_LIMITS = [["pesosPerPoint", 1], ["pointValue", 0.01]];
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// Header and footer lines come as a list or as one newline-separated string
+const readLines = (value, field) => {
+    const lines = Array.isArray(value) ? value : String(value ?? "").split("\n");
+    if (lines.some(line => typeof line !== "string")) throw badRequest(`${field} must be text`);
+
+    const kept = lines.map(line => line.trim()).filter(Boolean);
+    if (kept.length > MAX_RECEIPT_LINES) throw badRequest(`${field} can have at most ${MAX_RECEIPT_LINES} lines`);
+    return kept;
+};
+
+router.get("/", async (req, res) => {
+    try {
+        const settings = await Settings.getSettings();
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error("Settings fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Rates are fractions, e.g. 0.12 for 12% VAT
+router.put("/tax", requirePermission("settings:manage"), async (req, res) => {
+    try {
+        const update = {};
+
+        if (req.body.pricesIncludeTax !== undefined) {
+            if (typeof req.body.pricesIncludeTax !== "boolean") {
+                return res.status(400).json({ success: false, message: "pricesIncludeTax must be true or false" });
+            }
+            update["tax.pricesIncludeTax"] = req.body.pricesIncludeTax;
+        }
+
+        for (const field of RATE_FIELDS) {
+            if (req.body[field] === undefined) continue;
+
+            const rate = Number(req.body[field]);
+            if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+                return res.status(400).json({ success: false, message: `${field} must be between 0 and 1` });
+            }
+            update[`tax.${field}`] = rate;
+        }
+
+        const previous = await Settings.getSettings();
+        const settings = await Settings.findOneAndUpdate(
+            { key: "store" },
+            { $set: update },
+            { new: true, runValidators: true }
+        ).lean();
+        await audit(req, "settings.tax_updated", {
+            target: { kind: "settings", id: "store" },
+            ...changes(previous.tax, settings.tax, ["pricesIncludeTax", ...RATE_FIELDS])
+        });
+
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error("Settings update error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Any of { storeName, headerLines, tin, footerLines, paperWidth }
+router.put("/receipt", requirePermission("settings:manage"), async (req, res) => {
+    try {
+        const update = {};
+
+        if (req.body.storeName !== undefined) {
+            const storeName = String(req.body.storeName).trim();
+            if (!storeName) throw badRequest("Store name is required");
+            update["receipt.storeName"] = storeName;
+        }
+        if (req.body.tin !== undefined) {
+            update["receipt.tin"] = String(req.body.tin).trim();
+        }
+        for (const field of RECEIPT_LINE_FIELDS) {
+            if (req.body[field] !== undefined) update[`receipt.${field}`] = readLines(req.body[field], field);
+        }
+        if (req.body.paperWidth !== undefined) {
+            if (!PAPER_WIDTHS[req.body.paperWidth]) {
+                throw badRequest(`Paper width must be one of: ${Object.keys(PAPER_WIDTHS).join(", ")}`);
+            }
+            update["receipt.paperWidth"] = Number(req.body.paperWidth);
+        }
+
+        const previous = await Settings.getSettings();
+        await Settings.updateOne({ key: "store" }, { $set: update }, { runValidators: true });
+        const settings = await Settings.getSettings();
+        await audit(req, "settings.receipt_updated", {
+            target: receiptTarget,
+            ...changes(previous.receipt, settings.receipt, RECEIPT_FIELDS)
+        });
+
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error("Receipt settings update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Any of { staleAfterMinutes, expireAfterMinutes }. A new expiry applies to
+// orders parked from now on.
+router.put("/parking", requirePermission("settings:manage"), async (req, res) => {
+    try {
+        const update = {};
+
+        for (const [field, min, max] of PARKING_LIMITS) {
+            if (req.body[field] === undefined) continue;
+
+            const minutes = Number(req.body[field]);
+            if (!Number.isInteger(minutes) || minutes < min || minutes > max) {
+                throw badRequest(`${field} must be a whole number of minutes from ${min} to ${max}`);
+            }
+            update[`parking.${field}`] = minutes;
+        }
+
+        const previous = await Settings.getSettings();
+        await Settings.updateOne({ key: "store" }, { $set: update }, { runValidators: true });
+        const settings = await Settings.getSettings();
+        await audit(req, "settings.parking_updated", {
+            target: { kind: "settings", id: "store" },
+            ...changes(previous.parking, settings.parking, PARKING_LIMITS.map(([field]) => field))
+        });
+
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error("Parking settings update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Any of { enabled, pesosPerPoint, pointValue }. Sales already made keep
+// the points they were booked with.
+router.put("/loyalty", requirePermission("settings:manage"), async (req, res) => {
+    try {
+        const update = {};
+
+        if (req.body.enabled !== undefined) {
+            if (typeof req.body.enabled !== "boolean") throw badRequest("enabled must be true or false");
+            update["loyalty.enabled"] = req.body.enabled;
+        }
+        for (const [field, min] of LOYALTY_LIMITS) {
+            if (req.body[field] === undefined) continue;
+
+            const value = Number(req.body[field]);
+            if (!Number.isFinite(value) || value < min) throw badRequest(`${field} must be at least ${min}`);
+            update[`loyalty.${field}`] = Math.round(value * 100) / 100;
+        }
+
+        const previous = await Settings.getSettings();
+        await Settings.updateOne({ key: "store" }, { $set: update }, { runValidators: true });
+        const settings = await Settings.getSettings();
+        await audit(req, "settings.loyalty_updated", {
+            target: { kind: "settings", id: "store" },
+            ...changes(previous.loyalty, settings.loyalty, ["enabled", ...LOYALTY_LIMITS.map(([field]) => field)])
+        });
+
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error("Loyalty settings update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// multipart/form-data with a single `image` file
+router.post("/receipt/logo", requirePermission("settings:manage"), uploadImage, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: "Choose an image to upload" });
+        }
+
+        const previous = await Settings.getSettings();
+        const logo = await storeReceiptLogo(req.file.buffer);
+        await Settings.updateOne({ key: "store" }, { $set: { "receipt.logo": logo } });
+        await audit(req, "settings.receipt_logo_changed", {
+            target: receiptTarget,
+            before: { logo: previous.receipt.logo || null },
+            after: { logo }
+        });
+
+        if (previous.receipt.logo !== logo) await removeReceiptLogo(previous.receipt.logo);
+        res.json({ success: true, logo: imageUrl(logo) });
+    } catch (error) {
+        console.error("Receipt logo upload error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.delete("/receipt/logo", requirePermission("settings:manage"), async (req, res) => {
+    try {
+        const previous = await Settings.getSettings();
+        await Settings.updateOne({ key: "store" }, { $set: { "receipt.logo": "" } });
+        await audit(req, "settings.receipt_logo_removed", {
+            target: receiptTarget,
+            before: { logo: previous.receipt.logo || null }
+        });
+
+        await removeReceiptLogo(previous.receipt.logo);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Receipt logo delete error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,215 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { JournalEntry, Order, Settings, Shift, Terminal } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { readingText } from "../lib/receipt.js";
+
+const router = express.Router();
+
+const CASH_EVENT_KINDS = ["cash-in", "cash-out"];
+
+const parseAmount = (value) => {
+    const amount = Math.round(Number(value) * 100) / 100;
+    return Number.isFinite(amount) ? amount : NaN;
+};
+
+const findOpenShift = (user) => Shift.findOne({ cashier: user.id, status: "open" });
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid shift ID" });
+    }
+    next();
+});
+
+router.get("/current", requirePermission("shifts:work"), async (req, res) => {
+    try {
+        const shift = await findOpenShift(req.user).lean();
+        res.json({ success: true, shift });
+    } catch (error) {
+        console.error("Shift fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post("/open", requirePermission("shifts:work"), async (req, res) => {
+    try {
+        const openingFloat = parseAmount(req.body.openingFloat);
+        if (Number.isNaN(openingFloat) || openingFloat < 0) {
+            return res.status(400).json({ success: false, message: "Opening float must be 0 or more" });
+        }
+
+        if (await findOpenShift(req.user)) {
+            return res.status(409).json({ success: false, message: "You already have an open shift" });
+        }
+
+        // With a single terminal there's nothing to choose
+        const terminals = await Terminal.find({ isActive: { $ne: false } }).lean();
+        const terminal = req.body.terminal
+            ? terminals.find(t => String(t._id) === String(req.body.terminal))
+            : terminals.length === 1 && terminals[0];
+        if (!terminal) {
+            return res.status(400).json({ success: false, message: "Choose an active terminal for the shift" });
+        }
+
+        const shift = await Shift.create({
+            cashier: req.user.id,
+            cashierName: req.user.username,
+            openingFloat,
+            terminal: terminal._id,
+            terminalCode: terminal.code,
+            openingGrandTotal: terminal.grandTotal
+        });
+
+        res.status(201).json({ success: true, shift });
+    } catch (error) {
+        // The unique indexes catch two opens racing each other
+        if (error.code === 11000) {
+            const message = error.keyPattern?.terminal
+                ? "That terminal already has an open shift"
+                : "You already have an open shift";
+            return res.status(409).json({ success: false, message });
+        }
+        console.error("Shift open error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post("/current/cash", requirePermission("shifts:work"), async (req, res) => {
+    try {
+        const { kind, reason } = req.body;
+        const amount = parseAmount(req.body.amount);
+
+        if (!CASH_EVENT_KINDS.includes(kind)) {
+            return res.status(400).json({ success: false, message: `Kind must be one of: ${CASH_EVENT_KINDS.join(", ")}` });
+        }
+        if (Number.isNaN(amount) || amount <= 0) {
+            return res.status(400).json({ success: false, message: "Amount must be more than 0" });
+        }
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ success: false, message: "A reason is required for cash in and cash out" });
+        }
+
+        const shift = await Shift.findOneAndUpdate(
+            { cashier: req.user.id, status: "open" },
+            { $push: { cashEvents: { kind, amount, reason, user: req.user.id, username: req.user.username } } },
+            { new: true }
+        );
+        if (!shift) {
+            return res.status(409).json({ success: false, message: "No open shift" });
+        }
+
+        res.status(201).json({ success: true, shift });
+    } catch (error) {
+        console.error("Cash event error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// X-reading: running totals, nothing is reset
+router.get("/current/x-reading", requirePermission("shifts:work"), async (req, res) => {
+    try {
+        const shift = await findOpenShift(req.user);
+        if (!shift) {
+            return res.status(409).json({ success: false, message: "No open shift" });
+        }
+
+        res.json({ success: true, reading: await shift.buildReading("X") });
+    } catch (error) {
+        console.error("X-reading error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// The shift's orders, newest first, so the cashier can reprint a receipt
+router.get("/current/orders", requirePermission("shifts:work"), async (req, res) => {
+    try {
+        const shift = await findOpenShift(req.user).lean();
+        if (!shift) {
+            return res.status(409).json({ success: false, message: "No open shift" });
+        }
+
+        const orders = await Order.find({ shift: shift._id }, "receiptNumber type status total receiptPrints createdAt")
+            .sort({ createdAt: -1 })
+            .lean();
+        res.json({ success: true, orders });
+    } catch (error) {
+        console.error("Shift orders fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Closing the shift takes the Z-reading
+router.post("/current/close", requirePermission("shifts:work"), async (req, res) => {
+    try {
+        const countedCash = parseAmount(req.body.countedCash);
+        if (Number.isNaN(countedCash) || countedCash < 0) {
+            return res.status(400).json({ success: false, message: "Counted cash must be 0 or more" });
+        }
+
+        const shift = await findOpenShift(req.user);
+        if (!shift) {
+            return res.status(409).json({ success: false, message: "No open shift" });
+        }
+
+        const settings = await Settings.getSettings();
+        await mongoose.connection.transaction(async (session) => {
+            await shift.close(countedCash, req.user, session);
+            await JournalEntry.record({
+                kind: "z-reading",
+                terminal: shift.terminal,
+                shift: shift._id,
+                amount: shift.zReading.netSales,
+                user: req.user,
+                text: readingText(shift.zReading, { paperWidth: settings.receipt.paperWidth })
+            }, session);
+        });
+
+        res.json({ success: true, shift, reading: shift.zReading });
+    } catch (error) {
+        console.error("Shift close error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.get("/", requirePermission("shifts:review"), async (req, res) => {
+    try {
+        const { from, to, status } = req.query;
+        const filter = {};
+
+        if (from || to) {
+            filter.openedAt = {};
+            if (from) filter.openedAt.$gte = new Date(from);
+            if (to) filter.openedAt.$lte = new Date(to);
+            if (Object.values(filter.openedAt).some(date => isNaN(date))) {
+                return res.status(400).json({ success: false, message: "from and to must be valid dates" });
+            }
+        }
+        if (status) filter.status = status;
+
+        const shifts = await Shift.find(filter, "-zReading").sort({ openedAt: -1 }).limit(200).lean();
+        res.json({ success: true, shifts });
+    } catch (error) {
+        console.error("Shifts fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Admins can read any shift; open shifts get a fresh X-reading
+router.get("/:id/reading", requirePermission("shifts:review"), async (req, res) => {
+    try {
+        const shift = await Shift.findById(req.params.id);
+        if (!shift) {
+            return res.status(404).json({ success: false, message: "Shift not found" });
+        }
+
+        const reading = shift.status === "closed" ? shift.zReading : await shift.buildReading("X");
+        res.json({ success: true, shift, reading });
+    } catch (error) {
+        console.error("Shift reading error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+import express from "express";
+
+import { Stats } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(requirePermission("stats:view"));
+
+// ?from=&to= take any date or datetime; both default to today
+router.get("/", async (req, res) => {
+    try {
+        const stats = await Stats.getDashboardStats({ from: req.query.from, to: req.query.to });
+        res.json({ success: true, stats });
+    } catch (error) {
+        console.error("Stats fetch error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Recomputes the stored daily rollups for a range of days from the orders
+router.post("/rebuild", async (req, res) => {
+    try {
+        const from = new Date(req.body.from);
+        const to = req.body.to ? new Date(req.body.to) : new Date();
+
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ success: false, message: "A valid from and to date are required" });
+        }
+
+        const days = await Stats.rebuild(from, to);
+        res.json({ success: true, days, message: `Rebuilt stats for ${days} day(s)` });
+    } catch (error) {
+        console.error("Stats rebuild error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
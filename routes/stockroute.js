@@ -0,0 +1,196 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Product, StockMovement } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { audit } from "../middleware/audit.js";
+
+const router = express.Router();
+
+const auditMovement = (req, movement) => audit(req, `stock.${movement.type}`, {
+    target: { kind: "product", id: movement.product },
+    before: { stock: movement.stockBefore },
+    after: { stock: movement.stockAfter, quantity: movement.quantity, variant: movement.variantName, reason: movement.reason }
+});
+
+const ADJUSTMENT_TYPES = ["adjustment", "waste"];
+
+router.use(requirePermission("stock:manage"));
+
+router.param("productId", (req, res, next, productId) => {
+    if (!mongoose.isValidObjectId(productId)) {
+        return res.status(400).json({ success: false, message: "Invalid product ID" });
+    }
+    next();
+});
+
+// Products with sizes take a `variant` ID in the body (or query for history)
+const readVariant = (req, res, next) => {
+    const variant = req.body?.variant ?? req.query.variant;
+    if (variant !== undefined && variant !== "" && !mongoose.isValidObjectId(variant)) {
+        return res.status(400).json({ success: false, message: "Invalid variant ID" });
+    }
+    req.variant = variant || undefined;
+    next();
+};
+
+router.post("/:productId/restock", readVariant, async (req, res) => {
+    try {
+        const quantity = Number(req.body.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return res.status(400).json({ success: false, message: "Restock quantity must be a whole number of at least 1" });
+        }
+
+        const movement = await mongoose.connection.transaction(session =>
+            StockMovement.apply({
+                product: req.params.productId,
+                variant: req.variant,
+                type: "restock",
+                quantity,
+                user: req.user,
+                reason: req.body.reason
+            }, session)
+        );
+        await auditMovement(req, movement);
+
+        res.status(201).json({ success: true, movement });
+    } catch (error) {
+        console.error("Restock error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body takes either a signed `quantity` change or the physically `countedStock`
+router.post("/:productId/adjust", readVariant, async (req, res) => {
+    try {
+        const { reason, countedStock } = req.body;
+        const type = req.body.type || "adjustment";
+
+        if (!ADJUSTMENT_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, message: `Type must be one of: ${ADJUSTMENT_TYPES.join(", ")}` });
+        }
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ success: false, message: "A reason is required for adjustments" });
+        }
+
+        const movement = await mongoose.connection.transaction(async session => {
+            let quantity = Number(req.body.quantity);
+
+            if (countedStock !== undefined) {
+                const counted = Number(countedStock);
+                if (!Number.isInteger(counted) || counted < 0) {
+                    const error = new Error("Counted stock must be a whole number of at least 0");
+                    error.status = 400;
+                    throw error;
+                }
+
+                const product = await Product.findById(req.params.productId, "stock variants").session(session).lean();
+                const target = req.variant
+                    ? product?.variants?.find(v => String(v._id) === req.variant)
+                    : product;
+                if (!target) {
+                    const error = new Error(product ? "Size not found" : "Product not found");
+                    error.status = 404;
+                    throw error;
+                }
+                quantity = counted - (target.stock || 0);
+            }
+
+            // Waste only ever takes stock away
+            if (type === "waste") quantity = -Math.abs(quantity);
+
+            if (quantity === 0) return null;
+
+            return StockMovement.apply({
+                product: req.params.productId,
+                variant: req.variant,
+                type,
+                quantity,
+                user: req.user,
+                reason
+            }, session);
+        });
+
+        if (movement) await auditMovement(req, movement);
+
+        res.status(movement ? 201 : 200).json({
+            success: true,
+            movement,
+            message: movement ? undefined : "Stock already matches the count"
+        });
+    } catch (error) {
+        console.error("Stock adjustment error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { reorderLevel, variant? }: the stock at which the product (or
+// size) shows up for reordering
+router.put("/:productId/reorder-level", readVariant, async (req, res) => {
+    try {
+        const reorderLevel = Number(req.body.reorderLevel);
+        if (!Number.isInteger(reorderLevel) || reorderLevel < 0) {
+            return res.status(400).json({ success: false, message: "Reorder level must be a whole number of 0 or more" });
+        }
+
+        const product = await Product.findOneAndUpdate(
+            req.variant
+                ? { _id: req.params.productId, "variants._id": req.variant }
+                : { _id: req.params.productId, "variants.0": { $exists: false } },
+            { $set: { [req.variant ? "variants.$.reorderLevel" : "reorderLevel"]: reorderLevel } },
+            { new: false, projection: "name reorderLevel variants._id variants.name variants.reorderLevel" }
+        ).lean();
+        if (!product) {
+            if (!(await Product.exists({ _id: req.params.productId }))) {
+                return res.status(404).json({ success: false, message: "Product not found" });
+            }
+            return res.status(400).json({ success: false, message: req.variant ? "Size not found" : "Choose a size of this product" });
+        }
+
+        const variant = req.variant && product.variants.find(v => String(v._id) === req.variant);
+        await audit(req, "stock.reorder_level", {
+            target: { kind: "product", id: product._id, label: product.name },
+            before: { reorderLevel: (variant || product).reorderLevel ?? 0 },
+            after: { reorderLevel, variant: variant?.name }
+        });
+
+        res.json({ success: true, reorderLevel });
+    } catch (error) {
+        console.error("Reorder level error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.get("/:productId/movements", readVariant, async (req, res) => {
+    try {
+        const { from, to, type } = req.query;
+        const filter = { product: req.params.productId };
+
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+            if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+                return res.status(400).json({ success: false, message: "from and to must be valid dates" });
+            }
+        }
+        if (type) filter.type = type;
+        if (req.variant) filter.variant = req.variant;
+
+        const [product, movements] = await Promise.all([
+            Product.findById(req.params.productId, "name stock variants").lean(),
+            StockMovement.find(filter).sort({ createdAt: -1 }).limit(500).lean()
+        ]);
+
+        if (!product) {
+            return res.status(404).json({ success: false, message: "Product not found" });
+        }
+
+        res.json({ success: true, product, movements });
+    } catch (error) {
+        console.error("Stock history error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,87 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Supplier } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "contactName", "phone", "email", "address", "notes"];
+
+const supplierTarget = (supplier) => ({ kind: "supplier", id: supplier._id, label: supplier.name });
+
+router.use(requirePermission("stock:manage"));
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid supplier ID" });
+    }
+    next();
+});
+
+// ?includeInactive=true lists deactivated suppliers too
+router.get("/", async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === "true" ? {} : { isActive: { $ne: false } };
+        const suppliers = await Supplier.find(filter).sort({ name: 1 }).lean();
+        res.json({ success: true, suppliers });
+    } catch (error) {
+        console.error("Suppliers fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post("/", async (req, res) => {
+    try {
+        const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+        const supplier = await Supplier.create(fields);
+        await audit(req, "supplier.created", { target: supplierTarget(supplier), after: fields });
+        res.status(201).json({ success: true, supplier });
+    } catch (error) {
+        console.error("Supplier create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id", async (req, res) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Supplier not found" });
+        }
+
+        const previous = supplier.toObject();
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) supplier[field] = req.body[field];
+        });
+        await supplier.save();
+        await audit(req, "supplier.updated", { target: supplierTarget(supplier), ...changes(previous, supplier, EDITABLE_FIELDS) });
+
+        res.json({ success: true, supplier });
+    } catch (error) {
+        console.error("Supplier update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Deactivated suppliers can't be put on new purchase orders; their past
+// orders keep them
+const setActive = (isActive) => async (req, res) => {
+    try {
+        const supplier = await Supplier.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: "Supplier not found" });
+        }
+        await audit(req, isActive ? "supplier.reactivated" : "supplier.deactivated", { target: supplierTarget(supplier) });
+        res.json({ success: true, supplier });
+    } catch (error) {
+        console.error("Supplier activation error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/deactivate", setActive(false));
+router.post("/:id/reactivate", setActive(true));
+
+export default router;
@@ -0,0 +1,137 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Order, Table } from "../config/database.js";
+import { can, requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "area", "seats", "x", "y"];
+
+const tableTarget = (table) => ({ kind: "table", id: table._id, label: table.name });
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid table ID" });
+    }
+    next();
+});
+
+// A table is free with no open check, awaiting payment once every check on
+// it has had its bill printed, and occupied otherwise
+const tableStatus = (checks) => {
+    if (!checks.length) return "free";
+    return checks.every(check => check.billRequestedAt) ? "awaiting-payment" : "occupied";
+};
+
+// The floor plan with each table's status and open checks. Admins can pass
+// ?includeInactive=true to see tables taken off the floor.
+router.get("/", requirePermission("orders:create"), async (req, res) => {
+    try {
+        const includeInactive = can(req.user, "tables:manage") && req.query.includeInactive === "true";
+        const filter = includeInactive ? {} : { isActive: { $ne: false } };
+
+        const [tables, checks] = await Promise.all([
+            Table.find(filter).sort({ area: 1, y: 1, x: 1, name: 1 }).lean(),
+            Order.find({ status: "open", table: { $exists: true } }, "table total guests splitWays openedAt billRequestedAt items.quantity")
+                .sort({ openedAt: 1 })
+                .lean()
+        ]);
+
+        const byTable = new Map();
+        checks.forEach(check => {
+            const key = String(check.table);
+            if (!byTable.has(key)) byTable.set(key, []);
+            byTable.get(key).push({
+                _id: check._id,
+                number: String(check._id).slice(-4).toUpperCase(),
+                total: check.total || 0,
+                guests: check.guests || null,
+                splitWays: check.splitWays || 1,
+                itemCount: check.items.reduce((sum, item) => sum + item.quantity, 0),
+                openedAt: check.openedAt,
+                billRequestedAt: check.billRequestedAt || null
+            });
+        });
+
+        res.json({
+            success: true,
+            tables: tables.map(table => {
+                const tableChecks = byTable.get(String(table._id)) || [];
+                return {
+                    ...table,
+                    status: tableStatus(tableChecks),
+                    seatedAt: tableChecks[0]?.openedAt || null,
+                    checks: tableChecks
+                };
+            })
+        });
+    } catch (error) {
+        console.error("Tables fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post("/", requirePermission("tables:manage"), async (req, res) => {
+    try {
+        const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+        const table = await Table.create(fields);
+        await audit(req, "table.created", { target: tableTarget(table), after: fields });
+        res.status(201).json({ success: true, table });
+    } catch (error) {
+        console.error("Table create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Name, area, seats and the table's place on the floor plan
+router.patch("/:id", requirePermission("tables:manage"), async (req, res) => {
+    try {
+        const table = await Table.findById(req.params.id);
+        if (!table) {
+            return res.status(404).json({ success: false, message: "Table not found" });
+        }
+
+        const previous = table.toObject();
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) table[field] = req.body[field];
+        });
+        await table.save();
+
+        // Open checks show the table's name on the kitchen tickets
+        if (table.name !== previous.name) {
+            await Order.updateMany({ table: table._id, status: "open" }, { $set: { tableName: table.name } });
+        }
+        await audit(req, "table.updated", { target: tableTarget(table), ...changes(previous, table, EDITABLE_FIELDS) });
+
+        res.json({ success: true, table });
+    } catch (error) {
+        console.error("Table update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Deactivated tables drop off the floor plan but stay on past orders
+const setActive = (isActive) => async (req, res) => {
+    try {
+        if (!isActive && await Order.exists({ table: req.params.id, status: "open" })) {
+            return res.status(409).json({ success: false, message: "Pay, move or cancel the checks open on this table first" });
+        }
+
+        const table = await Table.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+        if (!table) {
+            return res.status(404).json({ success: false, message: "Table not found" });
+        }
+        await audit(req, isActive ? "table.reactivated" : "table.deactivated", { target: tableTarget(table) });
+        res.json({ success: true, table });
+    } catch (error) {
+        console.error("Table activation error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/deactivate", requirePermission("tables:manage"), setActive(false));
+router.post("/:id/reactivate", requirePermission("tables:manage"), setActive(true));
+
+export default router;
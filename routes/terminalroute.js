@@ -0,0 +1,95 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { Shift, Terminal } from "../config/database.js";
+import { can, requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
+
+const router = express.Router();
+
+const terminalTarget = (terminal) => ({ kind: "terminal", id: terminal._id, label: terminal.code });
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid terminal ID" });
+    }
+    next();
+});
+
+// Cashiers pick from the active terminals when opening a shift. Admins can
+// pass ?includeInactive=true to see everything.
+router.get("/", async (req, res) => {
+    try {
+        const includeInactive = can(req.user, "terminals:manage") && req.query.includeInactive === "true";
+        const filter = includeInactive ? {} : { isActive: { $ne: false } };
+
+        const [terminals, openShifts] = await Promise.all([
+            Terminal.find(filter).sort({ code: 1 }).lean(),
+            Shift.find({ status: "open", terminal: { $exists: true } }, "terminal cashierName").lean()
+        ]);
+        const inUse = new Map(openShifts.map(shift => [String(shift.terminal), shift.cashierName]));
+
+        res.json({
+            success: true,
+            terminals: terminals.map(terminal => ({ ...terminal, openShiftBy: inUse.get(String(terminal._id)) || null }))
+        });
+    } catch (error) {
+        console.error("Terminals fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// The code goes on every receipt number, so it can't be changed afterwards
+router.post("/", requirePermission("terminals:manage"), async (req, res) => {
+    try {
+        const terminal = await Terminal.create({ code: req.body.code, name: req.body.name });
+        await audit(req, "terminal.created", { target: terminalTarget(terminal), after: { code: terminal.code, name: terminal.name } });
+        res.status(201).json({ success: true, terminal });
+    } catch (error) {
+        console.error("Terminal create error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id", requirePermission("terminals:manage"), async (req, res) => {
+    try {
+        const terminal = await Terminal.findById(req.params.id);
+        if (!terminal) {
+            return res.status(404).json({ success: false, message: "Terminal not found" });
+        }
+
+        const previous = { name: terminal.name };
+        if (req.body.name !== undefined) terminal.name = req.body.name;
+        await terminal.save();
+        await audit(req, "terminal.updated", { target: terminalTarget(terminal), ...changes(previous, terminal, ["name"]) });
+
+        res.json({ success: true, terminal });
+    } catch (error) {
+        console.error("Terminal update error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Deactivated terminals keep their numbers and totals but can't open shifts
+const setActive = (isActive) => async (req, res) => {
+    try {
+        if (!isActive && await Shift.exists({ terminal: req.params.id, status: "open" })) {
+            return res.status(409).json({ success: false, message: "Close the shift open on this terminal first" });
+        }
+
+        const terminal = await Terminal.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
+        if (!terminal) {
+            return res.status(404).json({ success: false, message: "Terminal not found" });
+        }
+        await audit(req, isActive ? "terminal.reactivated" : "terminal.deactivated", { target: terminalTarget(terminal) });
+        res.json({ success: true, terminal });
+    } catch (error) {
+        console.error("Terminal activation error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/deactivate", requirePermission("terminals:manage"), setActive(false));
+router.post("/:id/reactivate", requirePermission("terminals:manage"), setActive(true));
+
+export default router;
@@ -0,0 +1,207 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { User, ROLES } from "../config/database.js";
+import { requirePermission } from "../middleware/auth.js";
+import { audit, changes } from "../middleware/audit.js";
+
+const router = express.Router();
+
+router.use(requirePermission("users:manage"));
+
+// Never send password or PIN hashes
+const toAccount = (user) => ({
+    id: user._id,
+    username: user.username,
+    role: user.role,
+    isActive: user.isActive !== false,
+    mustChangePassword: Boolean(user.mustChangePassword),
+    locked: Boolean(user.lockedUntil && user.lockedUntil > Date.now()),
+    hasPin: Boolean(user.pin),
+    lastLoginAt: user.lastLoginAt || null,
+    createdAt: user.createdAt
+});
+
+const userTarget = (user) => ({ kind: "user", id: user._id, label: user.username });
+
+const checkRole = (role) => {
+    if (!ROLES.includes(role)) {
+        const error = new Error(`Role must be one of: ${ROLES.join(", ")}`);
+        error.status = 400;
+        throw error;
+    }
+};
+
+// Refuses a change that would leave nobody able to manage accounts
+const keepAnAdmin = async (user) => {
+    if (user.role !== "admin" || user.isActive === false) return;
+
+    const others = await User.countDocuments({ _id: { $ne: user._id }, role: "admin", isActive: { $ne: false } });
+    if (!others) {
+        const error = new Error("There must be at least one active admin");
+        error.status = 409;
+        throw error;
+    }
+};
+
+router.param("id", (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ success: false, message: "Invalid user ID" });
+    }
+    next();
+});
+
+const loadUser = async (req, res, next) => {
+    try {
+        req.account = await User.findById(req.params.id);
+        if (!req.account) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+router.get("/", async (req, res) => {
+    try {
+        const users = await User.find().sort({ username: 1 }).lean();
+        res.json({ success: true, users: users.map(toAccount), roles: ROLES });
+    } catch (error) {
+        console.error("Users fetch error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// The password given is temporary; the user picks their own on first login
+router.post("/", async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+        checkRole(role);
+
+        const user = new User({ username, role });
+        user.setPassword(password, { temporary: true });
+        await user.save();
+        await audit(req, "user.created", { target: userTarget(user), after: { username: user.username, role: user.role } });
+
+        res.status(201).json({ success: true, user: toAccount(user) });
+    } catch (error) {
+        console.error("User create error:", error);
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: "That username is already taken" });
+        }
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.patch("/:id", loadUser, async (req, res) => {
+    try {
+        const user = req.account;
+        const { username, role } = req.body;
+        const previous = { username: user.username, role: user.role };
+
+        if (role !== undefined && role !== user.role) {
+            checkRole(role);
+            await keepAnAdmin(user);
+            user.role = role;
+        }
+        if (username !== undefined) user.username = username;
+        await user.save();
+        await audit(req, "user.updated", { target: userTarget(user), ...changes(previous, user, ["username", "role"]) });
+
+        res.json({ success: true, user: toAccount(user) });
+    } catch (error) {
+        console.error("User update error:", error);
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: "That username is already taken" });
+        }
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// Deactivated users are signed out on their next request and can't sign in again
+const setActive = (isActive) => async (req, res) => {
+    try {
+        const user = req.account;
+        if (!isActive) {
+            if (String(user._id) === req.user.id) {
+                return res.status(409).json({ success: false, message: "You can't deactivate your own account" });
+            }
+            await keepAnAdmin(user);
+        }
+
+        user.isActive = isActive;
+        if (isActive) user.unlock();
+        await user.save();
+        await audit(req, isActive ? "user.reactivated" : "user.deactivated", { target: userTarget(user) });
+
+        res.json({ success: true, user: toAccount(user) });
+    } catch (error) {
+        console.error("User activation error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+};
+
+router.post("/:id/deactivate", loadUser, setActive(false));
+router.post("/:id/reactivate", loadUser, setActive(true));
+
+// Sets a temporary password, clears any lockout and signs the user out
+router.post("/:id/reset-password", loadUser, async (req, res) => {
+    try {
+        const user = req.account;
+        user.setPassword(req.body.password, { temporary: true });
+        user.unlock();
+        await user.save();
+        await audit(req, "user.password_reset", { target: userTarget(user) });
+
+        res.json({ success: true, user: toAccount(user) });
+    } catch (error) {
+        console.error("Password reset error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.post("/:id/unlock", loadUser, async (req, res) => {
+    try {
+        const user = req.account;
+        user.unlock();
+        await user.save();
+        await audit(req, "user.unlocked", { target: userTarget(user) });
+
+        res.json({ success: true, user: toAccount(user) });
+    } catch (error) {
+        console.error("User unlock error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Body is { pin }: 4 to 6 digits
+router.put("/:id/pin", loadUser, async (req, res) => {
+    try {
+        const user = req.account;
+        user.setPin(req.body.pin);
+        await user.save();
+        await audit(req, "user.pin_set", { target: userTarget(user) });
+
+        res.json({ success: true, user: toAccount(user) });
+    } catch (error) {
+        console.error("User PIN error:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+router.delete("/:id/pin", loadUser, async (req, res) => {
+    try {
+        const user = req.account;
+        user.pin = undefined;
+        await user.save();
+        await audit(req, "user.pin_cleared", { target: userTarget(user) });
+
+        res.json({ success: true, user: toAccount(user) });
+    } catch (error) {
+        console.error("User PIN error:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+export default router;
@@ -1,13 +1,37 @@
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import path from "path";
-
-import { connectDB, User, Product, Category, Order, Stats } from "./config/database.js";
+import { createServer } from "http";
+import { Server } from "socket.io";
+
+import { connectDB, User, Product, Category, Terminal } from "./config/database.js";
+import { verifyToken, requirePage, homePage, permissionsFor, signIn, CHANGE_PASSWORD_PAGE, terminalLock, recordTerminalFailure, clearTerminalFailures, lockedMessage } from "./middleware/auth.js";
+import accountRoutes from "./routes/accountroute.js";
+import userRoutes from "./routes/userroute.js";
+import auditRoutes from "./routes/auditroute.js";
+import { audit } from "./middleware/audit.js";
 import categoryRoutes from "./routes/categoryroute.js";
 import productRoutes from "./routes/productroute.js";
+import brandRoutes from "./routes/brandroute.js";
+import stockRoutes from "./routes/stockroute.js";
+import orderRoutes from "./routes/orderroute.js";
+import settingsRoutes from "./routes/settingsroute.js";
+import shiftRoutes from "./routes/shiftroute.js";
+import statsRoutes from "./routes/statsroute.js";
+import terminalRoutes from "./routes/terminalroute.js";
+import journalRoutes from "./routes/journalroute.js";
+import tableRoutes from "./routes/tableroute.js";
+import checkRoutes from "./routes/checkroute.js";
+import parkedRoutes from "./routes/parkedroute.js";
+import customerRoutes from "./routes/customerroute.js";
+import reportRoutes from "./routes/reportroute.js";
+import ingredientRoutes from "./routes/ingredientroute.js";
+import supplierRoutes from "./routes/supplierroute.js";
+import purchaseOrderRoutes from "./routes/purchaseorderroute.js";
+import { initKitchenSocket } from "./sockets/kitchensocket.js";
+import { initDashboardSocket } from "./sockets/dashboardsocket.js";
 
 dotenv.config();
 if (!process.env.JWT_SECRET) {
@@ -15,8 +39,14 @@ if (!process.env.JWT_SECRET) {
 }
 
 const app = express();
+const server = createServer(app);
+const io = new Server(server);
 await connectDB();
 
+initKitchenSocket(io);
+initDashboardSocket(io);
+app.set("io", io);
+
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(cookieParser());
@@ -24,182 +54,195 @@ app.use(express.static(path.join(process.cwd(), "public")));
 app.use('/images', express.static(path.join(process.cwd(), "images")));
 app.set("view engine", "ejs");
 
-app.use("/api/categories", categoryRoutes);
-app.use("/api/products", productRoutes);
-
-const pages = ["login", "register", "order"];
+app.use("/api/categories", verifyToken, categoryRoutes);
+app.use("/api/brands", verifyToken, brandRoutes);
+app.use("/api/products", verifyToken, productRoutes);
+app.use("/api/stock", verifyToken, stockRoutes);
+app.use("/api/orders", verifyToken, orderRoutes);
+app.use("/api/settings", verifyToken, settingsRoutes);
+app.use("/api/shifts", verifyToken, shiftRoutes);
+app.use("/api/stats", verifyToken, statsRoutes);
+app.use("/api/account", verifyToken, accountRoutes);
+app.use("/api/users", verifyToken, userRoutes);
+app.use("/api/audit", verifyToken, auditRoutes);
+app.use("/api/terminals", verifyToken, terminalRoutes);
+app.use("/api/journal", verifyToken, journalRoutes);
+app.use("/api/tables", verifyToken, tableRoutes);
+app.use("/api/checks", verifyToken, checkRoutes);
+app.use("/api/parked", verifyToken, parkedRoutes);
+app.use("/api/customers", verifyToken, customerRoutes);
+app.use("/api/reports", verifyToken, reportRoutes);
+app.use("/api/ingredients", verifyToken, ingredientRoutes);
+app.use("/api/suppliers", verifyToken, supplierRoutes);
+app.use("/api/purchase-orders", verifyToken, purchaseOrderRoutes);
+
+const pages = ["login", "order"];
 pages.forEach(page => {
   app.get(`/${page.toLowerCase()}`, (req, res) => res.render(page));
 });
 
-const verifyToken = (req, res, next) => {
-  try {
-    const token = req.cookies.token;
-    if (!token) return res.redirect("/login");
-
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
-  } catch (err) {
-    console.error("Token verification failed:", err);
-    res.clearCookie("token");
-    res.redirect("/login");
-  }
-};
-
 app.get('/', (req, res) => {
   res.redirect('/login')
 });
 
-app.post("/register", async (req, res) => {
-  try {
-    const { user, pass, role } = req.body;
-    if (!user || !pass) return res.status(400).json({ message: "Username and password required" });
-
-    const existingUser = await User.findOne({ username: user });
-    if (existingUser) return res.status(409).json({ message: "User already exists" });
+// Accounts are created by an admin on the Users screen
+app.get("/register", (req, res) => res.redirect("/login"));
 
-    const hashedPassword = bcrypt.hashSync(pass, 10);
-    const newUser = new User({ username: user, password: hashedPassword, role: role || "staff" });
-
-    await newUser.save();
-    res.status(201).json({ message: "Username registered successfully" });
-  } catch (err) {
-    console.error("REGISTER ERROR:", err);
-    res.status(500).json({ message: err.message });
-  }
-});
+const renderLogin = (res, status, errorMessage) => res.status(status).render("login", { errorMessage });
 
 app.post("/login", async (req, res) => {
   try {
     const { user, pass } = req.body;
 
+    // Same message for an unknown user and a wrong password so usernames can't be probed
     const existingUser = await User.findOne({ username: user });
-    if (!existingUser) return res.status(404).send("User not found");
+    const failed = (reason) => audit(req, "auth.login_failed", {
+      actor: existingUser || { username: String(user || "") },
+      after: { username: String(user || ""), reason }
+    });
+
+    if (!existingUser || existingUser.isActive === false) {
+      await failed(existingUser ? "deactivated" : "unknown user");
+      return renderLogin(res, 401, "Invalid username or password");
+    }
+    if (existingUser.isLocked()) {
+      await failed("locked");
+      return renderLogin(res, 423, lockedMessage(existingUser));
+    }
 
-    const isMatch = bcrypt.compareSync(pass, existingUser.password);
-    if (!isMatch) return res.status(401).send("Invalid password");
+    if (!existingUser.checkPassword(pass)) {
+      existingUser.recordFailedLogin();
+      await existingUser.save();
+      await failed("wrong password");
 
-    const token = jwt.sign(
-      { id: existingUser._id, username: existingUser.username, role: existingUser.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "365d" }
-    );
+      if (!existingUser.isLocked()) return renderLogin(res, 401, "Invalid username or password");
+      await audit(req, "auth.locked", { actor: existingUser, target: { kind: "user", id: existingUser._id, label: existingUser.username } });
+      return renderLogin(res, 423, lockedMessage(existingUser));
+    }
 
-    res.cookie("token", token, { httpOnly: true, sameSite: "strict", maxAge: 1000*60*60*24*365 });
+    existingUser.recordLogin();
+    await existingUser.save();
+    signIn(res, existingUser);
+    await audit(req, "auth.login", { actor: existingUser });
 
-    if (existingUser.role === "admin") return res.redirect("/admindashboard");
-    res.redirect("/staffdashboard");
+    if (existingUser.mustChangePassword) return res.redirect(CHANGE_PASSWORD_PAGE);
+    res.redirect(homePage(existingUser));
   } catch (err) {
     console.error("LOGIN ERROR:", err);
-    res.status(500).send("Login error");
+    renderLogin(res, 500, "Login error");
   }
 });
-app.post('/api/orders', async (req, res) => {
+
+// Cashiers sign in with their username and PIN. A short PIN is quick to
+// guess, so failures count towards both the account's lockout and the
+// terminal's.
+const PIN_LOGIN_ROLES = ["cashier"];
+
+app.post("/login/pin", async (req, res) => {
   try {
-    const orderData = req.body;
-    
-    // Validate required data
-    if (!orderData.items || !orderData.items.length) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "No items in order" 
-      });
+    const { user, pin } = req.body;
+    const locked = terminalLock(req);
+    if (locked) return renderLogin(res, 423, lockedMessage(locked));
+
+    const existingUser = await User.findOne({ username: String(user || "") });
+    let reason = null;
+    if (!existingUser || existingUser.isActive === false || !PIN_LOGIN_ROLES.includes(existingUser.role)) {
+      reason = existingUser ? "not a PIN account" : "unknown user";
+    } else if (existingUser.isLocked()) {
+      reason = "locked";
+    } else if (!existingUser.checkPin(pin)) {
+      reason = "wrong PIN";
+      existingUser.recordFailedLogin();
+      await existingUser.save();
     }
-    
-    if (!orderData.total) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Total amount is required" 
+
+    if (reason) {
+      const terminalLocked = recordTerminalFailure(req);
+      await audit(req, "auth.pin_failed", {
+        actor: existingUser || { username: String(user || "") },
+        after: { username: String(user || ""), reason, terminalLocked }
       });
-    }
-    
-    // Ensure order has a type
-    if (!orderData.type) {
-      orderData.type = "Dine In"; // default
-    }
-    
-    // Create order with all necessary fields
-    const order = new Order({
-      items: orderData.items.map(item => ({
-        name: item.name || "Unknown Item",
-        price: item.price || 0,
-        quantity: item.quantity || 1,
-        image: item.image || 'default_food.jpg'
-      })),
-      subtotal: orderData.subtotal || 0,
-      tax: orderData.tax || 0,
-      total: orderData.total,
-      type: orderData.type,
-      customer: {
-        name: orderData.customer?.name || "Guest",
-        phone: orderData.customer?.phone || "N/A"
-      },
-      status: "completed", // Mark as paid
-      paymentStatus: "paid", // Explicit payment status
-      date: new Date()
-    });
-    
-    // Save to database
-    const savedOrder = await order.save();
-    console.log('Order saved to MongoDB:', savedOrder._id);
-    
-    try {
-      if (Stats && typeof Stats.updateStats === 'function') {
-        await Stats.updateStats(orderData);
+      if (existingUser?.isLocked()) {
+        if (reason === "wrong PIN") {
+          await audit(req, "auth.locked", { actor: existingUser, target: { kind: "user", id: existingUser._id, label: existingUser.username } });
+        }
+        return renderLogin(res, 423, lockedMessage(existingUser));
       }
-    } catch (statsError) {
-      console.error('Stats update error (non-critical):', statsError);
+      return renderLogin(res, 401, "Invalid username or PIN");
     }
-    
-    res.json({ 
-      success: true, 
-      orderId: savedOrder._id,
-      message: "Payment and order processed successfully"
-    });
-    
-  } catch (error) {
-    console.error('Order creation error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || "Failed to save order to database"
-    });
+
+    clearTerminalFailures(req);
+    existingUser.recordLogin();
+    await existingUser.save();
+    signIn(res, existingUser);
+    await audit(req, "auth.pin_login", { actor: existingUser });
+
+    if (existingUser.mustChangePassword) return res.redirect(CHANGE_PASSWORD_PAGE);
+    res.redirect(homePage(existingUser));
+  } catch (err) {
+    console.error("PIN LOGIN ERROR:", err);
+    renderLogin(res, 500, "Login error");
   }
 });
 
-app.get('/api/stats', async (req, res) => {
+app.get(CHANGE_PASSWORD_PAGE, verifyToken, (req, res) => {
+  res.render("changepassword", { user: req.user });
+});
+
+app.post(CHANGE_PASSWORD_PAGE, verifyToken, async (req, res) => {
+  const { current, pass, confirm } = req.body;
+  const fail = (status, errorMessage) => res.status(status).render("changepassword", { user: req.user, errorMessage });
+
   try {
-    const stats = await Stats.getDashboardStats();
-    res.json(stats);
-  } catch (error) {
-    console.error('Stats fetch error:', error);
-    res.status(500).json({ 
-      error: error.message 
-    });
+    const account = await User.findById(req.user.id);
+    if (!account.checkPassword(current)) return fail(401, "Current password is incorrect");
+    if (pass !== confirm) return fail(400, "The new passwords don't match");
+    if (pass === current) return fail(400, "Choose a password different from the current one");
+
+    account.setPassword(pass);
+    await account.save();
+    await audit(req, "auth.password_changed", { target: { kind: "user", id: account._id, label: account.username } });
+
+    // Earlier tokens stop working once the password changes
+    signIn(res, account);
+    res.redirect(homePage(account));
+  } catch (err) {
+    if (err.status) return fail(err.status, err.message);
+    console.error("PASSWORD CHANGE ERROR:", err);
+    fail(500, "Could not change the password");
   }
 });
 
-
 async function initializeDatabase() {
   try {
+    // Name and the label shown on the staff menu buttons
+    const defaultCategories = [
+      ["Rice", "Rice Bowl Meals"], ["Sizzling", "Hot Sizzlers"], ["Party", "Party Tray"],
+      ["Drink", "Drinks"], ["Cafe", "Coffee"], ["Milk", "Milk Tea"], ["Frappe", "Frappe"],
+      ["Snack & Appetizer", "Snacks & Appetizer"],
+      ["Budget Meals Served with Rice", "Budget Meals Served with Rice"],
+      ["Specialties", "Specialties"]
+    ];
+
     const categoryCount = await Category.countDocuments();
     
     if (categoryCount === 0) {
       console.log("Initializing database with default categories...");
       
-      const defaultCategories = [
-        "Rice", "Sizzling", "Party", "Drink", "Cafe", "Milk", "Frappe", 
-        "Snack & Appetizer", "Budget Meals Served with Rice", "Specialties"
-      ];
-      
-      for (const catName of defaultCategories) {
+      for (const [index, [catName, label]] of defaultCategories.entries()) {
         await Category.findOneAndUpdate(
           { name: catName },
-          { $setOnInsert: { name: catName } },
+          { $setOnInsert: { name: catName, label, sortOrder: index } },
           { upsert: true, new: true }
         );
       }
       
       console.log("Default categories created.");
+    } else {
+      // Categories created before labels and ordering existed
+      for (const [index, [catName, label]] of defaultCategories.entries()) {
+        await Category.updateOne({ name: catName, label: { $exists: false } }, { $set: { label, sortOrder: index } });
+      }
     }
     
     const adminCount = await User.countDocuments({ role: "admin" });
@@ -208,25 +251,45 @@ async function initializeDatabase() {
       const adminUser = new User({
         username: "admin",
         password: bcrypt.hashSync("admin123", 10),
-        role: "admin"
+        role: "admin",
+        mustChangePassword: true
       });
       
       await adminUser.save();
-      console.log("Default admin user created: admin / admin123");
+      console.log("Default admin user created: admin / admin123 (change it on first login)");
     }
     
-    const staffCount = await User.countDocuments({ role: "staff" });
+    // Accounts from before roles were split up
+    await User.updateMany({ role: "staff" }, { $set: { role: "cashier" } });
+
+    const staffCount = await User.countDocuments({ role: "cashier" });
     
     if (staffCount === 0) {
       const staffUser = new User({
         username: "staff",
         password: bcrypt.hashSync("staff123", 10),
-        role: "staff"
+        role: "cashier",
+        mustChangePassword: true
       });
       await staffUser.save();
-      console.log("Default staff user created: staff / staff123");
+      console.log("Default staff user created: staff / staff123 (change it on first login)");
+    }
+
+    // Seeded accounts still on their published passwords must change them
+    for (const [username, password] of [["admin", "admin123"], ["staff", "staff123"]]) {
+      const seeded = await User.findOne({ username, mustChangePassword: { $ne: true } });
+      if (seeded && seeded.checkPassword(password)) {
+        seeded.mustChangePassword = true;
+        await seeded.save();
+      }
     }
     
+    // Every shift runs on a terminal with its own receipt numbers
+    if (await Terminal.countDocuments() === 0) {
+      await Terminal.create({ code: "T01", name: "Front Counter" });
+      console.log("Default terminal created: T01");
+    }
+
     const productCount = await Product.countDocuments();
     
     if (productCount === 0) {
@@ -237,82 +300,85 @@ async function initializeDatabase() {
       });
       
       const defaultProducts = [
-        { name: "Korean Spicy Bulgogi (Pork)", price: 158, category: "Rice", image: "korean_spicy_bulgogi.jpg" },
-        { name: "Korean Salt and Pepper (Pork)", price: 158, category: "Rice", image: "korean_salt_pepper_pork.jpg" },
-        { name: "Crispy Pork Lechon Kawali", price: 158, category: "Rice", image: "lechon_kawali.jpg" },
-        { name: "Cream Dory Fish Fillet", price: 138, category: "Rice", image: "cream_dory.jpg" },
-        { name: "Buttered Honey Chicken", price: 128, category: "Rice", image: "buttered_honey_chicken.jpg" },
-        { name: "Buttered Spicy Chicken", price: 128, category: "Rice", image: "buttered_spicy_chicken.jpg" },
-        { name: "Chicken Adobo", price: 128, category: "Rice", image: "chicken_adobo.jpg" },
-        { name: "Pork Shanghai", price: 128, category: "Rice", image: "pork_shanghai.jpg" },
-        
-        { name: "Sizzling Pork Sisig", price: 168, category: "Sizzling", image: "pork_sisig.jpg" },
-        { name: "Sizzling Liempo", price: 168, category: "Sizzling", image: "liempo.jpg" },
-        { name: "Sizzling Porkchop", price: 148, category: "Sizzling", image: "porkchop.jpg" },
-        { name: "Sizzling Fried Chicken", price: 148, category: "Sizzling", image: "fried_chicken.jpg" },
-        
-        { name: "Pancit Bihon (S)", price: 300, category: "Party", image: "pancit_bihon_small.jpg" },
-        { name: "Pancit Bihon (M)", price: 500, category: "Party", image: "pancit_bihon_medium.jpg" },
-        { name: "Pancit Bihon (L)", price: 700, category: "Party", image: "pancit_bihon_large.jpg" },
-        { name: "Pancit Canton (S)", price: 300, category: "Party", image: "pancit_canton_small.jpg" },
-        { name: "Pancit Canton (M)", price: 500, category: "Party", image: "pancit_canton_medium.jpg" },
-        { name: "Pancit Canton (L)", price: 700, category: "Party", image: "pancit_canton_large.jpg" },
-        { name: "Spaghetti (S)", price: 400, category: "Party", image: "spaghetti_small.jpg" },
-        { name: "Spaghetti (M)", price: 700, category: "Party", image: "spaghetti_medium.jpg" },
-        { name: "Spaghetti (L)", price: 1000, category: "Party", image: "spaghetti_large.jpg" },
-        
-        { name: "Cucumber Lemonade (Glass)", price: 38, category: "Drink", image: "cucumber_lemonade.jpg" },
-        { name: "Cucumber Lemonade (Pitcher)", price: 108, category: "Drink", image: "cucumber_lemonade_pitcher.jpg" },
-        { name: "Blue Lemonade (Glass)", price: 38, category: "Drink", image: "blue_lemonade.jpg" },
-        { name: "Blue Lemonade (Pitcher)", price: 108, category: "Drink", image: "blue_lemonade_pitcher.jpg" },
-        { name: "Red Tea (Glass)", price: 38, category: "Drink", image: "red_tea.jpg" },
-        { name: "Soda (Mismo)", price: 28, category: "Drink", image: "soda.jpg" },
-        { name: "Soda 1.5L", price: 118, category: "Drink", image: "soda_1.5L.jpg" },
-        
-        { name: "Cafe Americano Tall", price: 88, category: "Cafe", image: "cafe_americano.jpg" },
-        { name: "Cafe Americano Grande", price: 108, category: "Cafe", image: "cafe_americano_grande.jpg" },
-        { name: "Cafe Latte Tall", price: 108, category: "Cafe", image: "cafe_latte.jpg" },
-        { name: "Cafe Latte Grande", price: 128, category: "Cafe", image: "cafe_latte_grande.jpg" },
-        { name: "Caramel Macchiato Tall", price: 108, category: "Cafe", image: "caramel_macchiato.jpg" },
-        { name: "Caramel Macchiato Grande", price: 128, category: "Cafe", image: "caramel_macchiato_grande.jpg" },
-        
-        { name: "Milk Tea Regular HC", price: 68, category: "Milk", image: "milk_tea.jpg" },
-        { name: "Milk Tea Regular MC", price: 88, category: "Milk", image: "milk_tea_mc.jpg" },
-        { name: "Matcha Green Tea HC", price: 78, category: "Milk", image: "matcha_green_tea.jpg" },
-        { name: "Matcha Green Tea MC", price: 88, category: "Milk", image: "matcha_green_tea_mc.jpg" },
-        
-       
-        { name: 'Matcha Green Tea HC', price: 108, category: 'Frappe', image: 'matcha_frappe.png' },
-        { name: 'Matcha Green Tea MC', price: 138, category: 'Frappe', image: 'matcha_frappe_mc.png' },
-        { name: 'Cookies & Cream HC', price: 98, category: 'Frappe', image: 'cookies_cream_frappe.png' },
-        { name: 'Cookies & Cream MC', price: 128, category: 'Frappe', image: 'cookies_cream_frappe_mc.png' },
-        { name: 'Strawberry&Cream HC', price: 180, category: 'Frappe', image: 'Strawberr_Cream_frappe_HC.png'},
-
-        { name: "Cheesy Nachos", price: 88, category: "Snack & Appetizer", image: "cheesy_nachos.jpg" },
-        { name: "Nachos Supreme", price: 108, category: "Snack & Appetizer", image: "nachos_supreme.jpg" },
-        { name: "French fries", price: 58, category: "Snack & Appetizer", image: "french_fries.jpg" },
-        { name: "Clubhouse Sandwich", price: 118, category: "Snack & Appetizer", image: "clubhouse_sandwich.jpg" },
-        { name: "Fish and Fries", price: 128, category: "Snack & Appetizer", image: "fish_fries.jpg" },
-        { name: "Cheesy Dynamite Lumpia", price: 88, category: "Snack & Appetizer", image: "cheesy_dynamite.jpg" },
-
-        { name: "Fried Chicken", price: 78, category: "Budget Meals Served with Rice", image: "fried_chicken_meal.jpg" },
-        { name: "Buttered Honey Chicken", price: 78, category: "Budget Meals Served with Rice", image: "buttered_honey_chicken_meal.jpg" },
-        { name: "Buttered Spicy Chicken", price: 78, category: "Budget Meals Served with Rice", image: "buttered_spicy_chicken_meal.jpg" },
-        { name: "Tinapa Rice", price: 108, category: "Budget Meals Served with Rice", image: "tinapa_rice.jpg" },
-        { name: "Fried Rice", price: 128, category: "Budget Meals Served with Rice", image: "fried_rice.jpg" },
-        { name: "Plain Rice", price: 18, category: "Budget Meals Served with Rice", image: "plain_rice.jpg" },
-
-        { name: "Sinigang (PORK)", price: 188, category: "Specialties", image: "sinigang_pork.jpg" },
-        { name: "Sinigang (Shrimp)", price: 178, category: "Specialties", image: "sinigang_shrimp.jpg" },
-        { name: "Paknet (Pakbet w/ Bagnet)", price: 188, category: "Specialties", image: "pakbet_bagnet.jpg" },
-        { name: "Buttered Shrimp", price: 108, category: "Specialties", image: "buttered_shrimp.jpg" },
-        { name: "Special Bulalo (good for 2-3 Persons)", price: 128, category: "Specialties", image: "bulalo.jpg" },
-        { name: "Special Bulalo Buy 1 Take 1 (good for 6-8 Persons)", price: 18, category: "Specialties", image: "bulalo_buy1take1.jpg" }
+        { name: 'Korean Spicy Bulgogi (Pork)', price: 158, category: 'Rice', image: 'korean_spicy_bulgogi.png' },
+        { name: 'Korean Salt and Pepper (Pork)', price: 158, category: 'Rice', image: 'korean_salt_pepper_pork.png' },
+        { name: 'Crispy Pork Lechon Kawali', price: 158, category: 'Rice', image: 'lechon_kawali.png' },
+        { name: 'Cream Dory Fish Fillet', price: 138, category: 'Rice', image: 'cream_dory.png' },
+        { name: 'Buttered Honey Chicken', price: 128, category: 'Rice', image: 'buttered_honey_chicken.png' },
+        { name: 'Buttered Spicy Chicken', price: 128, category: 'Rice', image: 'buttered_spicy_chicken.png' },
+        { name: 'Chicken Adobo', price: 128, category: 'Rice', image: 'chicken_adobo.png' },
+        { name: 'Pork Shanghai', price: 128, category: 'Rice', image: 'pork_shanghai.png' },
+
+        { name: 'Sizzling Pork Sisig', price: 168, category: 'Sizzling', image: 'pork_sisig.png' },
+        { name: 'Sizzling Liempo', price: 168, category: 'Sizzling', image: 'liempo.png' },
+        { name: 'Sizzling Porkchop', price: 148, category: 'Sizzling', image: 'porkchop.png' },
+        { name: 'Sizzling Fried Chicken', price: 148, category: 'Sizzling', image: 'fried_chicken.png' },
+
+        { name: 'Pancit Bihon (S)', price: 300, category: 'Party', image: 'pancit_bihon_small.png' },
+        { name: 'Pancit Bihon (M)', price: 500, category: 'Party', image: 'pancit_bihon_medium.png' },
+        { name: 'Pancit Bihon (L)', price: 700, category: 'Party', image: 'pancit_bihon_large.png' },
+        { name: 'Pancit Canton (S)', price: 300, category: 'Party', image: 'pancit_canton_small.png' },
+        { name: 'Pancit Canton (M)', price: 500, category: 'Party', image: 'pancit_canton_medium.png' },
+        { name: 'Pancit Canton (L)', price: 700, category: 'Party', image: 'pancit_canton_large.png' },
+        { name: 'Spaghetti (S)', price: 400, category: 'Party', image: 'spaghetti_small.png' },
+        { name: 'Spaghetti (M)', price: 700, category: 'Party', image: 'spaghetti_medium.png' },
+        { name: 'Spaghetti (L)', price: 1000, category: 'Party', image: 'spaghetti_large.png' },
+
+        { name: 'Cucumber Lemonade (Glass)', price: 38, category: 'Drink', image: 'cucumber_lemonade.png' },
+        { name: 'Cucumber Lemonade (Pitcher)', price: 108, category: 'Drink', image: 'cucumber_lemonade_pitcher.png' },
+        { name: 'Blue Lemonade (Glass)', price: 38, category: 'Drink', image: 'blue_lemonade.png' },
+        { name: 'Blue Lemonade (Pitcher)', price: 108, category: 'Drink', image: 'blue_lemonade_pitcher.png' },
+        { name: 'Red Tea (Glass)', price: 38, category: 'Drink', image: 'red_tea.png' },
+        { name: 'Soda (Mismo)', price: 28, category: 'Drink', image: 'soda_mismo.png' },
+        { name: 'Soda 1.5L', price: 118, category: 'Drink', image: 'soda_1.5liter.png' },
+
+        { name: 'Cafe Americano Tall', price: 88, category: 'Cafe', image: 'cafe_americano_tall.png' },
+        { name: 'Cafe Americano Grande', price: 108, category: 'Cafe', image: 'cafe_americano_grande.png' },
+        { name: 'Cafe Latte Tall', price: 108, category: 'Cafe', image: 'cafe_latte_tall.png' },
+        { name: 'Cafe Latte Grande', price: 128, category: 'Cafe', image: 'cafe_latte_grande.png' },
+        { name: 'Caramel Macchiato Tall', price: 108, category: 'Cafe', image: 'caramel_macchiato_tall.png' },
+        { name: 'Caramel Macchiato Grande', price: 128, category: 'Cafe', image: 'caramel_macchiato_grande.png' },
+
+        { name: 'Milk Tea Regular HC', price: 68, category: 'Milk', image: 'Milktea_regular.png' },
+        { name: 'Milk Tea Regular MC', price: 88, category: 'Milk', image: 'Milktea_regular_MC.png' },
+        { name: 'Matcha Green Tea HC', price: 78, category: 'Milk', image: 'Matcha_greentea_HC.png' },
+        { name: 'Matcha Green Tea MC', price: 88, category: 'Milk', image: 'Matcha_greentea_MC.png' },
+
+        { name: 'Matcha Green Tea HC', price: 108, category: 'Frappe', image: 'Matcha_greentea_HC.png' },
+        { name: 'Matcha Green Tea MC', price: 138, category: 'Frappe', image: 'Matcha_greentea_HC.png' },
+        { name: 'Cookies & Cream HC', price: 98, category: 'Frappe', image: 'Cookies_&Cream_HC.png' },
+        { name: 'Cookies & Cream MC', price: 128, category: 'Frappe', image: 'Cookies_&Cream_HC.png' },
+        { name: 'Strawberry & Cream HC', price: 180, category: 'Frappe', image: 'Strawberr_Cream_frappe_HC.png'},
+        { name: 'Mango cheese cake HC', price: 180, category: 'Frappe', image: 'Mango_cheesecake_HC.png'},
+
+        { name: 'Cheesy Nachos', price: 88, category: 'Snack & Appetizer', image: 'cheesy_nachos.png' },
+        { name: 'Nachos Supreme', price: 108, category: 'Snack & Appetizer', image: 'nachos_supreme.png' },
+        { name: 'French fries', price: 58, category: 'Snack & Appetizer', image: 'french_fries.png' },
+        { name: 'Clubhouse Sandwich', price: 118, category: 'Snack & Appetizer', image: 'club_house_sandwich.png' },
+        { name: 'Fish and Fries', price: 128, category: 'Snack & Appetizer', image: 'fish_fries.png' },
+        { name: 'Cheesy Dynamite Lumpia', price: 88, category: 'Snack & Appetizer', image: 'Cheesy_dynamite.png' },
+        { name: 'Lumpiang Shanghai', price: 88, category: 'Snack & Appetizer', image: 'lumpiang_shanghai.png' },
+
+        { name: 'Fried Chicken', price: 78, category: 'Budget Meals Served with Rice', image: 'fried_chicken_Meal.png' },
+        { name: 'Buttered Honey Chicken', price: 78, category: 'Budget Meals Served with Rice', image: 'buttered_honey_chicken.png' },
+        { name: 'Buttered Spicy Chicken', price: 78, category: 'Budget Meals Served with Rice', image: 'buttered_spicy_chicken.png' },
+        { name: 'Tinapa Rice', price: 108, category: 'Budget Meals Served with Rice', image: 'Tinapa_fried_rice.png' },
+        { name: 'Tuyo Pesto', price: 108, category: 'Budget Meals Served with Rice', image: 'Tuyo_pesto.png' },
+        { name: 'Fried Rice', price: 128, category: 'Budget Meals Served with Rice', image: 'fried_rice.png' },
+        { name: 'Plain Rice', price: 18, category: 'Budget Meals Served with Rice', image: 'plain_rice.png' },
+
+        { name: 'Sinigang (PORK)', price: 188, category: 'Specialties', image: 'sinigang_pork.png' },
+        { name: 'Sinigang (Shrimp)', price: 178, category: 'Specialties', image: 'sinigang_shrimp.png' },
+        { name: 'Paknet (Pakbet w/ Bagnet)', price: 188, category: 'Specialties', image: 'paknet.png' },
+        { name: 'Buttered Shrimp', price: 108, category: 'Specialties', image: 'buttered_shrimp.png' },
+        { name: 'Special Bulalo (good for 2-3 Persons)', price: 128, category: 'Specialties', image: 'Special_Bulalo.png' },
+        { name: 'Special Bulalo Buy 1 Take 1 (good for 6-8 Persons)', price: 18, category: 'Specialties', image: 'Special_Bulalo_buy1_take1.png' }
       ];
       
+      // Some names repeat across categories (e.g. Milk Tea vs Frappe), so key on both
       for (const product of defaultProducts) {
         await Product.findOneAndUpdate(
-          { name: product.name },
+          { name: product.name, category: categoryMap[product.category] || null },
           { 
             name: product.name,
             price: product.price,
@@ -333,83 +399,56 @@ async function initializeDatabase() {
 
 await initializeDatabase();
 
-app.get('/api/products', async (req, res) => {
-  try {
-    const products = await Product.find()
-      .populate('category', 'name')
-      .lean();
-    
-    const formattedProducts = products.map(product => ({
-      id: product._id,
-      name: product.name,
-      price: product.price,
-      category: product.category ? product.category.name : 'Uncategorized',
-      stock: product.stock,
-      image: product.image || 'default_food.jpg'
-    }));
-    
-    res.json(formattedProducts);
-  } catch (error) {
-    console.error('Products fetch error:', error);
-    res.status(500).json({ 
-      error: error.message 
-    });
-  }
+// The figures arrive over the /dashboard socket
+app.get("/admindashboard", verifyToken, requirePage("stats:view"), (req, res) => {
+  res.render("admindashboard", { user: req.user });
 });
 
-app.post('/api/products/:id/image', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { image } = req.body;
-    
-    const product = await Product.findByIdAndUpdate(
-      id,
-      { image },
-      { new: true }
-    );
-    
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-    
-    res.json({ success: true, product });
-  } catch (error) {
-    console.error('Product image update error:', error);
-    res.status(500).json({ 
-      error: error.message 
-    });
-  }
+app.get("/admin/catalog", verifyToken, requirePage("catalog:manage"), (req, res) => {
+  res.render("catalog", { user: req.user });
+});
+
+app.get("/admin/users", verifyToken, requirePage("users:manage"), (req, res) => {
+  res.render("users", { user: req.user });
 });
 
-app.get("/admindashboard", verifyToken, async (req, res) => {
-  if (req.user.role !== "admin") return res.redirect("/staffdashboard");
+app.get("/admin/audit", verifyToken, requirePage("audit:view"), (req, res) => {
+  res.render("audit", { user: req.user });
+});
 
-  try {
-    const totalProducts = await Product.countDocuments();
-    const products = await Product.find({}, "stock").lean();
-    const totalStocks = products.reduce((sum, p) => sum + (p.stock || 0), 0);
-    const totalOrders = await Order.countDocuments();
+app.get("/admin/terminals", verifyToken, requirePage("terminals:manage"), (req, res) => {
+  res.render("terminals", { user: req.user });
+});
 
-    res.render("admindashboard", { user: req.user, stats: { totalProducts, totalStocks, totalOrders } });
-  } catch (err) {
-    console.error("ADMIN DASHBOARD ERROR:", err);
-    res.render("admindashboard", { user: req.user, stats: { totalProducts: 0, totalStocks: 0, totalOrders: 0 } });
-  }
+app.get("/admin/tables", verifyToken, requirePage("tables:manage"), (req, res) => {
+  res.render("tables", { user: req.user });
 });
 
-app.get("/staffdashboard", verifyToken, async (req, res, next) => {
-  try {
-    if (req.user.role !== "staff") return res.redirect("/admindashboard");
+app.get("/admin/reports", verifyToken, requirePage("stats:view"), (req, res) => {
+  res.render("reports", { user: req.user });
+});
 
-    const products = await Product.find().populate("category", "name").lean();
+app.get("/admin/ingredients", verifyToken, requirePage("stock:manage"), (req, res) => {
+  res.render("ingredients", { user: req.user });
+});
 
-    const categories = [
-      ...new Set(products.map(p => (p.category && p.category.name) ? p.category.name : "Uncategorized"))
-    ];
+app.get("/admin/purchasing", verifyToken, requirePage("stock:manage"), (req, res) => {
+  res.render("purchasing", { user: req.user });
+});
+
+app.get("/admin/settings", verifyToken, requirePage("settings:manage"), (req, res) => {
+  res.render("settings", { user: req.user });
+});
+
+app.get("/staffdashboard", verifyToken, requirePage("orders:create"), async (req, res, next) => {
+  try {
+    const categories = await Category.find({ isActive: { $ne: false } }, "name label")
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
 
     res.render("staffdashboard", {
       user: req.user,
-      products,
+      permissions: permissionsFor(req.user.role),
       categories
     });
   } catch (err) {
@@ -418,23 +457,15 @@ app.get("/staffdashboard", verifyToken, async (req, res, next) => {
   }
 });
 
+app.get("/kitchen", verifyToken, requirePage("kitchen:view"), (req, res) => {
+  res.render("kitchen", { user: req.user });
+});
+
 app.get("/logout", (req, res) => {
   res.clearCookie("token");
   res.redirect("/login");
 });
 
-app.post("/printreceipt", async (req, res, next) => {
-  try {
-    const { cart, orderType } = req.body;
-    if (!cart || !cart.length) return res.status(400).json({ error: "Empty cart" });
-
-    const receiptId = Date.now();
-    res.json({ receiptId, cart, orderType });
-  } catch (err) {
-    next(err);
-  }
-});
-
 app.use((req, res, next) => {
   res.status(404).send("Page not found");
 });
@@ -445,4 +476,4 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 9090;
-app.listen(PORT, () => console.log(`Server is running at http://localhost:${PORT}`));
\ No newline at end of file
+server.listen(PORT, () => console.log(`Server is running at http://localhost:${PORT}`));
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { PurchaseOrder, Stats } from "../config/database.js";
+import { authenticate, can } from "../middleware/auth.js";
+
+const LOW_STOCK_LIMIT = 20;
+
+// Sales come in bursts at the till; one recount covers every sale in the
+// next couple of seconds
+const UPDATE_DELAY_MS = 2000;
+
+const comparison = (stats) => ({
+    netSales: stats.netSales,
+    orders: stats.orders,
+    averageOrder: stats.averageOrder
+});
+
+// Everything the admin dashboard shows, worked out afresh
+const dashboardSnapshot = async () => {
+    const [{ now, today, lastWeek, lastWeekDay }, lowStock] = await Promise.all([
+        Stats.weekOnWeek(),
+        PurchaseOrder.lowStock()
+    ]);
+
+    return {
+        generatedAt: now,
+        today: {
+            ...comparison(today),
+            itemsSold: today.itemsSold,
+            dineInOrders: today.dineInOrders,
+            takeoutOrders: today.takeoutOrders,
+            hourly: today.hourly,
+            categories: today.categories,
+            topProducts: today.topProducts
+        },
+        lastWeek: {
+            date: lastWeekDay.from,
+            ...comparison(lastWeek),
+            hourly: lastWeekDay.hourly
+        },
+        lowStock: lowStock.slice(0, LOW_STOCK_LIMIT).map(({ kind, name, unit, onHand, reorderLevel }) => ({ kind, name, unit, onHand, reorderLevel })),
+        lowStockCount: lowStock.length
+    };
+};
+
+let pendingUpdate = null;
+
+// Recounts the dashboard for whoever has it open. Nothing is worked out while
+// nobody is watching.
+export const emitDashboardUpdate = (io) => {
+    if (!io || pendingUpdate) return;
+    const dashboard = io.of("/dashboard");
+    if (!dashboard.sockets.size) return;
+
+    pendingUpdate = setTimeout(async () => {
+        pendingUpdate = null;
+        try {
+            dashboard.emit("dashboard:update", await dashboardSnapshot());
+        } catch (error) {
+            console.error("Dashboard update error:", error);
+        }
+    }, UPDATE_DELAY_MS);
+};
+
+// Call after initKitchenSocket, which parses the cookies for every namespace
+export const initDashboardSocket = (io) => {
+    const dashboard = io.of("/dashboard");
+
+    dashboard.use(async (socket, next) => {
+        try {
+            socket.user = await authenticate(socket.request.cookies?.token);
+        } catch (err) {
+            socket.user = null;
+        }
+        if (!socket.user) return next(new Error("Unauthorized"));
+        if (!can(socket.user, "stats:view")) return next(new Error("Forbidden"));
+        next();
+    });
+
+    // Every (re)connect gets the full picture
+    dashboard.on("connection", async (socket) => {
+        try {
+            socket.emit("dashboard:update", await dashboardSnapshot());
+        } catch (error) {
+            console.error("Dashboard sync error:", error);
+        }
+    });
+};
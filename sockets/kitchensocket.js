@@ -0,0 +1,86 @@
+import cookieParser from "cookie-parser";
+
+import { Order } from "../config/database.js";
+import { authenticate, can } from "../middleware/auth.js";
+
+// What each screen shows: the kitchen works paid/preparing tickets and the
+// rounds sent from open checks, the counter calls out the ready ones
+const SCREEN_STATUSES = {
+    kitchen: ["open", "paid", "preparing"],
+    counter: ["ready"]
+};
+
+// An open check's ticket is whatever the kitchen hasn't sent out yet, timed
+// from the oldest round still waiting
+const ticketLines = (order) => order.items.filter(item =>
+    item.status === "active" && (order.status !== "open" || item.kitchenStatus === "pending"));
+
+const ticketTime = (order, lines) => {
+    if (order.status !== "open") return order.createdAt;
+    const waiting = new Set(lines.map(item => item.round));
+    const sent = (order.rounds || []).filter(round => waiting.has(round.number)).map(round => round.sentAt);
+    return sent.length ? new Date(Math.min(...sent.map(Number))) : order.openedAt;
+};
+
+const RESYNC_WINDOW_MS = 1000 * 60 * 60 * 24;
+
+export const toTicket = (order) => {
+    const lines = ticketLines(order);
+    return {
+        id: order._id,
+        number: String(order._id).slice(-4).toUpperCase(),
+        type: order.type,
+        status: order.status,
+        table: order.tableName || null,
+        customer: order.customer?.name || "Guest",
+        createdAt: ticketTime(order, lines),
+        items: lines.map(item => ({
+            id: item._id,
+            name: item.name,
+            size: item.size,
+            modifiers: (item.modifiers || []).map(modifier => modifier.name),
+            quantity: item.quantity,
+            kitchenStatus: item.kitchenStatus
+        }))
+    };
+};
+
+// Pushes an order change to every kitchen and counter screen. Screens drop
+// tickets whose status they don't show.
+export const emitOrderUpdate = (io, order, event = "order:updated") => {
+    if (!io) return;
+    const ticket = toTicket(order);
+    io.to("kitchen").to("counter").emit(event, ticket);
+};
+
+export const initKitchenSocket = (io) => {
+    io.engine.use(cookieParser());
+
+    io.use(async (socket, next) => {
+        try {
+            socket.user = await authenticate(socket.request.cookies?.token);
+        } catch (err) {
+            socket.user = null;
+        }
+        if (!socket.user) return next(new Error("Unauthorized"));
+        if (!can(socket.user, "kitchen:view")) return next(new Error("Forbidden"));
+        next();
+    });
+
+    io.on("connection", async (socket) => {
+        const screen = socket.handshake.auth?.screen === "kitchen" ? "kitchen" : "counter";
+        socket.join(screen);
+
+        // Every (re)connect gets the full set of open tickets
+        try {
+            const orders = await Order.find({
+                status: { $in: SCREEN_STATUSES[screen] },
+                createdAt: { $gte: new Date(Date.now() - RESYNC_WINDOW_MS) }
+            }).sort({ createdAt: 1 }).lean();
+
+            socket.emit("tickets:sync", orders.map(toTicket));
+        } catch (error) {
+            console.error("Ticket resync error:", error);
+        }
+    });
+};
@@ -1,22 +0,0 @@
-const Category = require('../../models/categoryModel');
-
-const getDataControllerFn = async (req, res) => {
-    try {
-        const categories = await Category.find({});
-        res.json(categories);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-};
-
-const createCategoryControllerFn = async (req, res) => {
-    try {
-        const newCategory = new Category(req.body);
-        const savedCategory = await newCategory.save();
-        res.status(201).json(savedCategory);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-};
-
-module.exports = { getDataControllerFn, createCategoryControllerFn };